@@ -1,24 +1,87 @@
 /* IEnergy Portal Auth (client-side convenience only)
-   - Session lifetime: until tab closes (sessionStorage) OR 15 minutes max (whichever comes first)
-   - Users:
-     1) admin / iEnergy2023  -> role: admin (full access)
-     2) user / iEnergy  -> role: user (limited access)
+   - Session lifetime: until the tab closes (sessionStorage), 15 minutes without activity (sliding), or
+     8 hours after sign-in at most, whichever comes first
+   - A banner counts down the last minute with a "Stay signed in" button; form inputs on a locked page
+     are kept for the same user's next sign-in
+   - Open portal tabs share one session: sign-in, activity, sign-out, user switches and expiry are passed
+     between tabs (BroadcastChannel, or storage events where it is missing), and a new tab picks up the
+     session of an open one
+   - Users live in auth-users.json (next to this script) as salted PBKDF2-SHA256 hashes; no passwords in
+     the page source
+   - Access is by named permission: one per module ('salary-query') and per action ('salary-query:export').
+     auth-users.json assigns permissions to roles, and extra ones to individual users
+   - New users and password changes: generate the entry on the User Accounts page (user-admin/). When no
+     admin can sign in (first deployment, lost password), run scripts/create_auth_user.py offline and hand
+     the password over out of band
+   - Failed sign-ins are throttled per username (a growing wait, then a 5-minute lockout after 5 in a row)
+     and logged for the User Accounts page. Both live in this browser's localStorage: there is no server, so
+     attempts made in another browser are neither counted nor shown, and clearing site data lifts a lockout
 */
 (function () {
   'use strict';
 
   const AUTH_EXP_KEY = 'ienergy_portal_session_expiry_v2';
+  const AUTH_DEADLINE_KEY = 'ienergy_portal_session_deadline_v2';
   const AUTH_ROLE_KEY = 'ienergy_portal_role_v2';
   const AUTH_USER_KEY = 'ienergy_portal_user_v2';
-
-  const AUTH_TTL_MS = 15 * 60 * 1000; // 15 minutes max
-
-  // Hardcoded users (client-side gate only)
-  const USERS = {
-    admin: { password: 'iEnergy2023', role: 'admin' },
-    user: { password: 'iEnergy', role: 'user' }
+  const AUTH_PERMISSIONS_KEY = 'ienergy_portal_permissions_v2';
+
+  const AUTH_IDLE_MS = 15 * 60 * 1000; // signed out after 15 minutes without activity
+  const AUTH_MAX_MS = 8 * 60 * 60 * 1000; // and 8 hours after sign-in at the latest
+  const AUTH_WARN_MS = 60 * 1000; // countdown banner for the last minute
+  const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+  const ACTIVITY_THROTTLE_MS = 15 * 1000;
+
+  // Inputs of a page locked by the timeout, restored after the same user signs in again.
+  const FORM_STATE_KEY = 'ienergy_portal_form_state_v1';
+
+  // Users who signed out (not timed out) since their last sign-in: pages drop the data they keep per user
+  // in this browser (calculation history) for them. Announced as 'ienergy-auth:signed-out' on document.
+  const SIGNED_OUT_USERS_KEY = 'ienergy_portal_signed_out_users_v1';
+
+  // Sign-in throttling per username, shared by the tabs of this browser (localStorage).
+  const LOGIN_ATTEMPTS_KEY = 'ienergy_portal_login_attempts_v1';
+  const FAILED_LOGINS_KEY = 'ienergy_portal_failed_logins_v1';
+  const LOGIN_BACKOFF_BASE_MS = 1000; // 1s, 2s, 4s, ... after consecutive failures
+  const LOGIN_BACKOFF_MAX_MS = 30 * 1000;
+  const LOGIN_LOCKOUT_THRESHOLD = 5;
+  const LOGIN_LOCKOUT_MS = 5 * 60 * 1000;
+  // Failures count towards the lockout for 15 minutes after the last one; older entries are dropped.
+  const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+  const LOGIN_ATTEMPTS_MAX = 200;
+  const FAILED_LOGINS_MAX = 200;
+
+  // Cross-tab messages (storage-event fallback key holds the last message only briefly).
+  const AUTH_CHANNEL_NAME = 'ienergy-portal-auth';
+  const AUTH_MESSAGE_KEY = 'ienergy_portal_auth_message_v1';
+
+  // Users file, resolved against this script so every page (at any depth) finds the same file.
+  const SCRIPT_URL = (document.currentScript && document.currentScript.src) || window.location.href;
+  const USERS_URL = new URL('auth-users.json', SCRIPT_URL).href;
+
+  const PBKDF2_ITERATIONS = 310000;
+  const PBKDF2_HASH_BYTES = 32;
+  const SALT_BYTES = 16;
+
+  // Permission catalogue (labels for the User Accounts page). '*' grants everything and
+  // '<module>:*' grants a module and all of its actions.
+  const PERMISSIONS = {
+    'salary-calculator': 'Salary Calculator',
+    'salary-calculator:export': 'Salary Calculator: export and print',
+    'salary-calculator:employee-lookup': 'Salary Calculator: load employees by code',
+    'salary-query': 'Salary Query',
+    'salary-query:export': 'Salary Query: export',
+    'employee-database': 'Employee Database',
+    'contacts-list': 'Contacts List',
+    'hr-documents': 'HR Documents',
+    'purchasing-request': 'Purchasing Request',
+    'leave-manager': 'Leave Manager',
+    'company-policy': 'Company Policy',
+    'user-admin': 'User Accounts'
   };
 
+  let usersLoading = null;
+
   const LEGACY_KEYS_TO_CLEAR = [
     'ienergy_portal_session_expiry_v1',
     'ienergy_home_authed_v1',
@@ -35,8 +98,15 @@
     }
   }
 
+  function getDeadline() {
+    return Number(sessionStorage.getItem(AUTH_DEADLINE_KEY) || '0');
+  }
+
+  // When the session ends: the idle expiry, capped by the absolute deadline.
   function getExpiry() {
-    return Number(sessionStorage.getItem(AUTH_EXP_KEY) || '0');
+    const exp = Number(sessionStorage.getItem(AUTH_EXP_KEY) || '0');
+    const deadline = getDeadline();
+    return deadline ? Math.min(exp, deadline) : exp;
   }
 
   function getRole() {
@@ -47,30 +117,413 @@
     return String(sessionStorage.getItem(AUTH_USER_KEY) || '');
   }
 
+  function getPermissions() {
+    try {
+      const list = JSON.parse(sessionStorage.getItem(AUTH_PERMISSIONS_KEY) || '[]');
+      return Array.isArray(list) ? list.map(String) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  // Whether a permission list grants a permission.
+  function grants(list, permission) {
+    const p = String(permission || '');
+    if (!p) return true;
+    return list.includes('*') || list.includes(p) || list.includes(`${p.split(':')[0]}:*`);
+  }
+
+  // Whether the signed-in user holds a permission ('module' or 'module:action').
+  function hasPermission(permission) {
+    return !!getRole() && grants(getPermissions(), permission);
+  }
+
+  // Permissions of a user in the users file: their role's plus their own, without duplicates.
+  function resolvePermissions(doc, rec) {
+    const fromRole = (doc.roles && Array.isArray(doc.roles[rec.role])) ? doc.roles[rec.role] : [];
+    const own = Array.isArray(rec.permissions) ? rec.permissions : [];
+    return Array.from(new Set([...fromRole, ...own].map(String)));
+  }
+
+  // Hides elements marked data-permission="..." that the signed-in user does not hold.
+  function applyPermissionUI(root) {
+    (root || document).querySelectorAll('[data-permission]').forEach((el) => {
+      el.style.display = hasPermission(el.getAttribute('data-permission')) ? '' : 'none';
+    });
+  }
+
   function isSessionValid() {
     const exp = getExpiry();
     return !!(exp && exp > now() && getRole());
   }
 
-  function logout() {
+  // -----------------------------
+  // Credentials
+  // -----------------------------
+  function toBase64(bytes) {
+    let bin = '';
+    new Uint8Array(bytes).forEach((b) => { bin += String.fromCharCode(b); });
+    return btoa(bin);
+  }
+
+  function fromBase64(s) {
+    const bin = atob(String(s || ''));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  // Base64 PBKDF2-SHA256 hash of a password with a base64 salt.
+  async function hashPassword(password, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(password || '')), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+      key,
+      PBKDF2_HASH_BYTES * 8
+    );
+    return toBase64(bits);
+  }
+
+  // Users file entry for a new user or a password change: { role, salt, iterations, hash }.
+  async function createCredential(password, role) {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+    const hash = await hashPassword(password, salt, PBKDF2_ITERATIONS);
+    return { role, salt, iterations: PBKDF2_ITERATIONS, hash };
+  }
+
+  // Compares every character so the time taken does not depend on where the hashes differ.
+  function sameHash(a, b) {
+    const x = String(a || '');
+    const y = String(b || '');
+    let diff = x.length ^ y.length;
+    for (let i = 0; i < Math.max(x.length, y.length); i++) diff |= (x.charCodeAt(i) || 0) ^ (y.charCodeAt(i) || 0);
+    return diff === 0;
+  }
+
+  // The users file ({ version, algorithm, users: { name: credential } }); loaded once per page.
+  function loadUsers() {
+    if (!usersLoading) {
+      usersLoading = fetch(USERS_URL, { cache: 'no-store' })
+        .then((resp) => {
+          if (!resp.ok) throw new Error(`Unable to load the users file (HTTP ${resp.status}).`);
+          return resp.json();
+        })
+        .then((doc) => {
+          if (!doc || typeof doc.users !== 'object' || typeof doc.roles !== 'object') throw new Error('The users file is not valid.');
+          return doc;
+        })
+        .catch((e) => {
+          usersLoading = null;
+          throw e;
+        });
+    }
+    return usersLoading;
+  }
+
+  // -----------------------------
+  // Session storage and cross-tab sync
+  // -----------------------------
+  function readSession() {
+    return {
+      expiry: Number(sessionStorage.getItem(AUTH_EXP_KEY) || '0'),
+      deadline: getDeadline(),
+      role: getRole(),
+      user: getUser(),
+      permissions: getPermissions()
+    };
+  }
+
+  function writeSession(session) {
+    sessionStorage.setItem(AUTH_EXP_KEY, String(session.expiry));
+    sessionStorage.setItem(AUTH_DEADLINE_KEY, String(session.deadline));
+    sessionStorage.setItem(AUTH_ROLE_KEY, session.role);
+    sessionStorage.setItem(AUTH_USER_KEY, session.user);
+    sessionStorage.setItem(AUTH_PERMISSIONS_KEY, JSON.stringify(session.permissions || []));
+  }
+
+  function clearSession() {
     sessionStorage.removeItem(AUTH_EXP_KEY);
+    sessionStorage.removeItem(AUTH_DEADLINE_KEY);
     sessionStorage.removeItem(AUTH_ROLE_KEY);
     sessionStorage.removeItem(AUTH_USER_KEY);
+    sessionStorage.removeItem(AUTH_PERMISSIONS_KEY);
+  }
+
+  // Pages' ensureAuth() gates, told about sessions adopted from and sign-outs in other tabs.
+  const sessionListeners = [];
+  let channel = null;
+
+  function broadcast(msg) {
+    if (channel) {
+      try { channel.postMessage(msg); } catch (_) {}
+      return;
+    }
+    try {
+      localStorage.setItem(AUTH_MESSAGE_KEY, JSON.stringify({ msg, at: now(), nonce: Math.random() }));
+      localStorage.removeItem(AUTH_MESSAGE_KEY);
+    } catch (_) {}
+  }
+
+  // Messages: { type: 'session', session } after sign-in or activity, { type: 'logout', reason, user } with
+  // reason 'logout' | 'switch' | 'expired', and { type: 'request' } from a tab looking for a session.
+  function receive(msg) {
+    if (!msg || typeof msg !== 'object') return;
+
+    if (msg.type === 'request') {
+      if (isSessionValid()) broadcast({ type: 'session', session: readSession() });
+      return;
+    }
+
+    if (msg.type === 'session') {
+      const next = msg.session;
+      if (!next || !next.role || Math.min(next.expiry, next.deadline || Infinity) <= now()) return;
+      const cur = readSession();
+      const sameUser = isSessionValid() && cur.user === next.user && cur.role === next.role;
+      if (sameUser && cur.expiry >= next.expiry) return;
+      writeSession(next);
+      sessionListeners.forEach((fn) => fn('session', { changedUser: !sameUser }));
+      return;
+    }
+
+    if (msg.type === 'logout') {
+      if (!getRole()) return;
+      clearSession();
+      sessionListeners.forEach((fn) => fn('logout', { reason: msg.reason }));
+      announceSignedOut(msg.user, msg.reason);
+    }
+  }
+
+  try {
+    if (typeof BroadcastChannel === 'function') {
+      channel = new BroadcastChannel(AUTH_CHANNEL_NAME);
+      channel.onmessage = (e) => receive(e.data);
+    }
+  } catch (_) {
+    channel = null;
+  }
+  if (!channel) {
+    window.addEventListener('storage', (e) => {
+      if (e.key !== AUTH_MESSAGE_KEY || !e.newValue) return;
+      try { receive(JSON.parse(e.newValue).msg); } catch (_) {}
+    });
+  }
+
+  // Slides the idle expiry forward (never past the deadline). False when there is no valid session.
+  function extendSession() {
+    if (!isSessionValid()) return false;
+    const deadline = getDeadline();
+    const exp = now() + AUTH_IDLE_MS;
+    sessionStorage.setItem(AUTH_EXP_KEY, String(deadline ? Math.min(exp, deadline) : exp));
+    broadcast({ type: 'session', session: readSession() });
+    return true;
+  }
+
+  // Signs out this tab and every other open portal tab.
+  function logout(reason) {
+    const r = reason || 'logout';
+    const user = getUser();
+    clearSession();
+    if (user && r !== 'expired') markSignedOut(user, true);
+    broadcast({ type: 'logout', reason: r, user });
+    announceSignedOut(user, r);
+  }
+
+  function getSignedOutUsers() {
+    const list = readStoredJson(SIGNED_OUT_USERS_KEY, []);
+    return Array.isArray(list) ? list : [];
+  }
+
+  function markSignedOut(user, signedOut) {
+    const list = getSignedOutUsers().filter((u) => u !== user);
+    if (signedOut) list.push(user);
+    writeStoredJson(SIGNED_OUT_USERS_KEY, list);
+  }
+
+  function announceSignedOut(user, reason) {
+    try {
+      document.dispatchEvent(new CustomEvent('ienergy-auth:signed-out', { detail: { user: user || '', reason } }));
+    } catch (_) {}
+  }
+
+  // -----------------------------
+  // Sign-in throttling and failed-attempt log
+  // -----------------------------
+  function readStoredJson(key, fallback) {
+    try {
+      const v = JSON.parse(localStorage.getItem(key) || 'null');
+      return v == null ? fallback : v;
+    } catch (_) {
+      return fallback;
+    }
   }
 
-  function login(username, password) {
+  function writeStoredJson(key, value) {
+    try { localStorage.setItem(key, JSON.stringify(value)); } catch (_) {}
+  }
+
+  // A lockout that has run out, or failures older than the window, no longer count.
+  function attemptExpired(st, t) {
+    return st.lockedUntil ? st.lockedUntil <= t : (Number(st.lastFailure) || 0) + LOGIN_FAILURE_WINDOW_MS <= t;
+  }
+
+  // { failures, lastFailure, lockedUntil } for a username (all 0 when nothing counts any more).
+  function attemptState(u) {
+    const all = readStoredJson(LOGIN_ATTEMPTS_KEY, {});
+    const st = (all && all[u]) || {};
+    if (attemptExpired(st, now())) return { failures: 0, lastFailure: 0, lockedUntil: 0 };
+    return { failures: Number(st.failures) || 0, lastFailure: Number(st.lastFailure) || 0, lockedUntil: Number(st.lockedUntil) || 0 };
+  }
+
+  // Also drops expired entries, and the oldest ones beyond LOGIN_ATTEMPTS_MAX usernames.
+  function saveAttemptState(u, st) {
+    const all = readStoredJson(LOGIN_ATTEMPTS_KEY, {});
+    if (st) all[u] = st;
+    else delete all[u];
+    const t = now();
+    const kept = Object.keys(all)
+      .filter((k) => all[k] && !attemptExpired(all[k], t))
+      .sort((a, b) => (Number(all[b].lastFailure) || 0) - (Number(all[a].lastFailure) || 0))
+      .slice(0, LOGIN_ATTEMPTS_MAX);
+    writeStoredJson(LOGIN_ATTEMPTS_KEY, kept.reduce((out, k) => Object.assign(out, { [k]: all[k] }), {}));
+  }
+
+  // { waitMs (0 = may try now), locked } for a username.
+  function loginWait(username) {
+    const u = String(username || '').trim().toLowerCase();
+    const st = attemptState(u);
+    const t = now();
+    if (st.lockedUntil > t) return { waitMs: st.lockedUntil - t, locked: true };
+    if (!st.failures) return { waitMs: 0, locked: false };
+    const delay = Math.min(LOGIN_BACKOFF_BASE_MS * Math.pow(2, st.failures - 1), LOGIN_BACKOFF_MAX_MS);
+    return { waitMs: Math.max(0, st.lastFailure + delay - t), locked: false };
+  }
+
+  function logFailedLogin(u, reason) {
+    const list = getFailedLogins();
+    list.push({ at: new Date(now()).toISOString(), username: u, reason, page: window.location.pathname });
+    writeStoredJson(FAILED_LOGINS_KEY, list.slice(-FAILED_LOGINS_MAX));
+  }
+
+  function recordFailure(u) {
+    // The count starts over once a lockout has run out (attemptState() no longer returns it).
+    const failures = attemptState(u).failures + 1;
+    const locked = failures >= LOGIN_LOCKOUT_THRESHOLD;
+    saveAttemptState(u, { failures, lastFailure: now(), lockedUntil: locked ? now() + LOGIN_LOCKOUT_MS : 0 });
+    logFailedLogin(u, locked ? 'locked' : 'wrong-password');
+  }
+
+  // Failed sign-ins in this browser, oldest first: { at (ISO time), username, reason, page }.
+  // reason: 'wrong-password', 'locked' (the failure that started a lockout) or 'throttled' (tried while waiting).
+  function getFailedLogins() {
+    const list = readStoredJson(FAILED_LOGINS_KEY, []);
+    return Array.isArray(list) ? list : [];
+  }
+
+  // Clears the log and lifts every wait and lockout.
+  function clearFailedLogins() {
+    try {
+      localStorage.removeItem(FAILED_LOGINS_KEY);
+      localStorage.removeItem(LOGIN_ATTEMPTS_KEY);
+    } catch (_) {}
+  }
+
+  // Resolves to { ok: false, locked, retryAfterMs } for a wrong username or password, and adds throttled: true
+  // when the username still has to wait (the password is not checked); rejects when the users file is unavailable.
+  async function login(username, password) {
     clearLegacy();
     // Username is case-insensitive for convenience.
     const u = String(username || '').trim().toLowerCase();
-    const rec = USERS[u];
-    if (!rec) return { ok: false };
-    if (String(password || '') !== rec.password) return { ok: false };
+    const wait = loginWait(u);
+    if (wait.waitMs > 0) {
+      logFailedLogin(u, 'throttled');
+      return { ok: false, throttled: true, locked: wait.locked, retryAfterMs: wait.waitMs };
+    }
+
+    const doc = await loadUsers();
+    const rec = Object.prototype.hasOwnProperty.call(doc.users, u) ? doc.users[u] : null;
+    // Unknown usernames still pay for a hash, so response times do not reveal which usernames exist.
+    const known = !!rec && Object.prototype.hasOwnProperty.call(doc.roles, rec.role);
+    const hash = await hashPassword(password, known ? rec.salt : toBase64(new Uint8Array(SALT_BYTES)), known ? (Number(rec.iterations) || PBKDF2_ITERATIONS) : PBKDF2_ITERATIONS);
+    if (!known || !sameHash(hash, rec.hash)) {
+      recordFailure(u);
+      const next = loginWait(u);
+      return { ok: false, locked: next.locked, retryAfterMs: next.waitMs };
+    }
+    saveAttemptState(u, null);
+    markSignedOut(u, false);
+
+    const exp = now() + AUTH_IDLE_MS;
+    const permissions = resolvePermissions(doc, rec);
+    writeSession({ expiry: exp, deadline: now() + AUTH_MAX_MS, role: rec.role, user: u, permissions });
+    broadcast({ type: 'session', session: readSession() });
+    return { ok: true, expiry: exp, role: rec.role, user: u, permissions };
+  }
+
+  // -----------------------------
+  // Form state across a timeout
+  // -----------------------------
+  function formStateKey() {
+    return `${FORM_STATE_KEY}:${window.location.pathname}`;
+  }
+
+  // Values of the page's id'd inputs (not passwords or files).
+  function saveFormState(container) {
+    if (!container) return;
+    const fields = {};
+    container.querySelectorAll('input[id], select[id], textarea[id]').forEach((el) => {
+      const type = String(el.type || '').toLowerCase();
+      if (['password', 'file', 'button', 'submit', 'reset'].includes(type)) return;
+      fields[el.id] = (type === 'checkbox' || type === 'radio') ? { checked: !!el.checked } : { value: el.value };
+    });
+    try {
+      sessionStorage.setItem(formStateKey(), JSON.stringify({ user: getUser(), fields }));
+    } catch (_) {}
+  }
+
+  function clearFormState() {
+    try { sessionStorage.removeItem(formStateKey()); } catch (_) {}
+  }
+
+  // Puts saved inputs back when the same user signs in, then lets the page refresh its results
+  // ('ienergy-auth:form-restored' on document, detail: { fields }). Another user's sign-in discards them.
+  function restoreFormState() {
+    let saved = null;
+    try { saved = JSON.parse(sessionStorage.getItem(formStateKey()) || 'null'); } catch (_) {}
+    clearFormState();
+    if (!saved || !saved.fields || saved.user !== getUser()) return;
+
+    Object.keys(saved.fields).forEach((id) => {
+      const el = $(id);
+      const f = saved.fields[id];
+      if (!el) return;
+      if ('checked' in f) el.checked = f.checked;
+      else el.value = f.value;
+      if (el.tagName === 'SELECT' || 'checked' in f) el.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    document.dispatchEvent(new CustomEvent('ienergy-auth:form-restored', { detail: { fields: saved.fields } }));
+  }
+
+  // -----------------------------
+  // Timeout banner
+  // -----------------------------
+  let timeoutBanner = null;
+
+  function ensureTimeoutBanner(onStay) {
+    if (timeoutBanner) return timeoutBanner;
+    const el = document.createElement('div');
+    el.className = 'auth-timeout';
+    el.setAttribute('role', 'alert');
+    el.hidden = true;
+    el.innerHTML = '<span class="auth-timeout-text"></span><button class="btn primary" type="button">Stay signed in</button>';
+    el.querySelector('button').addEventListener('click', onStay);
+    document.body.appendChild(el);
+    timeoutBanner = el;
+    return el;
+  }
 
-    const exp = now() + AUTH_TTL_MS;
-    sessionStorage.setItem(AUTH_EXP_KEY, String(exp));
-    sessionStorage.setItem(AUTH_ROLE_KEY, rec.role);
-    sessionStorage.setItem(AUTH_USER_KEY, u);
-    return { ok: true, expiry: exp, role: rec.role, user: u };
+  function fmtCountdown(ms) {
+    const secs = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
   }
 
   // Page-level gate.
@@ -80,18 +533,23 @@
   // Optional:
   //   - #accessDenied (overlay)
   //   - #usernameInput, #passwordInput, #btnLogin, #authError
+  // opts.permission is the page's module permission; opts.allowedRoles (older pages) limits by role instead.
+  // Elements marked data-permission="..." are hidden for users without that permission.
   function ensureAuth(opts) {
     clearLegacy();
 
+    const permission = (opts && typeof opts.permission === 'string') ? opts.permission : '';
     const allowedRoles = (opts && Array.isArray(opts.allowedRoles) && opts.allowedRoles.length)
       ? opts.allowedRoles
-      : ['admin', 'user'];
+      : null;
 
     const homeHref = (opts && typeof opts.homeHref === 'string' && opts.homeHref)
       ? opts.homeHref
       : '../index.html';
 
     const onAuthed = (opts && typeof opts.onAuthed === 'function') ? opts.onAuthed : null;
+    // Called when another tab signs this page out (reason: 'logout' | 'switch' | 'expired').
+    const onSignedOut = (opts && typeof opts.onSignedOut === 'function') ? opts.onSignedOut : null;
 
     const authEl = $('auth');
     const appEl = $('app');
@@ -106,8 +564,10 @@
     // while already authenticated as a non-admin user).
     const btnSwitchUser = $('btnSwitchUser');
 
-    let lockTimer = null;
-    let authedCallbackFired = false;
+    let watchTimer = null;
+    let lastActivity = 0;
+    // onAuthed runs again only when a different user (or role) signs in.
+    let authedAs = '';
 
     function showError(msg) {
       if (!errEl) return;
@@ -142,53 +602,145 @@
       try { window.location.href = homeHref; } catch (_) {}
     }
 
-    function scheduleLock(expiryMs) {
-      if (lockTimer) clearTimeout(lockTimer);
-      const remaining = expiryMs - now();
-      if (remaining > 0) {
-        lockTimer = setTimeout(() => {
-          logout();
-          showLogin();
-        }, remaining);
-      } else {
-        logout();
-        showLogin();
+    function hideTimeoutBanner() {
+      if (timeoutBanner) timeoutBanner.hidden = true;
+    }
+
+    function stopSessionWatch() {
+      if (watchTimer) clearInterval(watchTimer);
+      watchTimer = null;
+      hideTimeoutBanner();
+    }
+
+    // Timeout: keep the inputs for the next sign-in, then lock.
+    function lockSession() {
+      stopSessionWatch();
+      saveFormState(appEl);
+      logout('expired');
+      showLogin();
+    }
+
+    function staySignedIn() {
+      if (extendSession()) {
+        lastActivity = now();
+        tick();
+      }
+    }
+
+    // Once a second: lock at expiry, count down in the last minute.
+    function tick() {
+      const remaining = getExpiry() - now();
+      if (!isSessionValid() || remaining <= 0) {
+        lockSession();
+        return;
+      }
+      if (remaining > AUTH_WARN_MS) {
+        hideTimeoutBanner();
+        return;
       }
+
+      const banner = ensureTimeoutBanner(staySignedIn);
+      // Near the absolute deadline there is nothing to extend.
+      const atDeadline = getDeadline() && getDeadline() - now() <= remaining + 1000;
+      banner.querySelector('.auth-timeout-text').textContent = atDeadline
+        ? `Your session reaches its maximum length in ${fmtCountdown(remaining)}. Please sign in again to continue.`
+        : `You will be signed out in ${fmtCountdown(remaining)} due to inactivity.`;
+      banner.querySelector('button').hidden = !!atDeadline;
+      banner.hidden = false;
+    }
+
+    function startSessionWatch() {
+      if (watchTimer) clearInterval(watchTimer);
+      watchTimer = setInterval(tick, 1000);
+      tick();
+    }
+
+    // Any use of the page slides the session (at most every ACTIVITY_THROTTLE_MS).
+    function onActivity() {
+      if (!watchTimer || now() - lastActivity < ACTIVITY_THROTTLE_MS) return;
+      lastActivity = now();
+      if (extendSession()) hideTimeoutBanner();
     }
 
     function showApp() {
       if (authEl) authEl.style.display = 'none';
       if (deniedEl) deniedEl.hidden = true;
       if (appEl) appEl.hidden = false;
+      applyPermissionUI();
+      restoreFormState();
 
       const exp = getExpiry();
-      if (exp) scheduleLock(exp);
+      if (exp) startSessionWatch();
 
-      if (onAuthed && !authedCallbackFired) {
-        authedCallbackFired = true;
-        try { onAuthed({ role: getRole(), user: getUser(), expiry: exp }); } catch (_) {}
+      const who = `${getUser()}|${getRole()}`;
+      if (onAuthed && authedAs !== who) {
+        authedAs = who;
+        try { onAuthed({ role: getRole(), user: getUser(), expiry: exp, permissions: getPermissions(), can: hasPermission }); } catch (_) {}
       }
     }
 
     function enforceRole() {
       const role = getRole();
-      if (!allowedRoles.includes(role)) {
+      if ((allowedRoles && !allowedRoles.includes(role)) || !hasPermission(permission)) {
         showDenied();
         return false;
       }
       return true;
     }
 
-    function attemptLogin() {
+    let loginPending = false;
+    let retryTimer = null;
+
+    function stopRetryCountdown() {
+      if (retryTimer) clearInterval(retryTimer);
+      retryTimer = null;
+    }
+
+    // "<lead> Try again in X seconds.", counting down until the username may sign in again; then shows doneMsg.
+    function showRetryCountdown(username, lead, doneMsg) {
+      stopRetryCountdown();
+      const update = () => {
+        const { waitMs } = loginWait(username);
+        if (waitMs <= 0) {
+          stopRetryCountdown();
+          showError(doneMsg || '');
+          return;
+        }
+        const secs = Math.ceil(waitMs / 1000);
+        showError(`${lead} Try again in ${secs} second${secs === 1 ? '' : 's'}.`);
+      };
+      update();
+      if (loginWait(username).waitMs > 0) retryTimer = setInterval(update, 1000);
+    }
+
+    async function attemptLogin() {
+      if (loginPending) return;
       const u = userInput ? userInput.value : '';
       const p = passInput ? passInput.value : '';
-      const res = login(u, p);
+
+      // Hashing takes a moment; block double submits meanwhile.
+      loginPending = true;
+      if (btnLogin) btnLogin.disabled = true;
+      let res;
+      try {
+        res = await login(u, p);
+      } catch (e) {
+        showError(e && e.message ? e.message : 'Unable to sign in right now. Please try again.');
+        return;
+      } finally {
+        loginPending = false;
+        if (btnLogin) btnLogin.disabled = false;
+      }
+
       if (!res.ok) {
-        showError('Incorrect username or password.');
+        if (res.locked) showRetryCountdown(u, 'Too many failed attempts.');
+        else if (res.throttled) showRetryCountdown(u, 'Please wait a moment.');
+        else showRetryCountdown(u, 'Incorrect username or password.', 'Incorrect username or password.');
         if (userInput) userInput.focus();
         return;
       }
 
+      stopRetryCountdown();
       showError('');
 
       if (!enforceRole()) return;
@@ -200,11 +752,35 @@
 
     if (btnSwitchUser) {
       btnSwitchUser.addEventListener('click', () => {
-        logout();
+        stopSessionWatch();
+        clearFormState();
+        logout('switch');
         showLogin();
       });
     }
 
+    // Another tab signed in, kept the session alive, signed out or timed out.
+    sessionListeners.push((type, info) => {
+      if (type === 'session') {
+        if (!info.changedUser && watchTimer) {
+          tick();
+          return;
+        }
+        stopSessionWatch();
+        if (!enforceRole()) return;
+        showApp();
+        return;
+      }
+      stopSessionWatch();
+      if (info.reason === 'expired') saveFormState(appEl);
+      showLogin();
+      if (onSignedOut) {
+        try { onSignedOut(info.reason); } catch (_) {}
+      }
+    });
+
+    ACTIVITY_EVENTS.forEach((t) => document.addEventListener(t, onActivity, { capture: true, passive: true }));
+
     const onEnter = (e) => {
       if (e.key === 'Enter') {
         e.preventDefault();
@@ -222,9 +798,11 @@
       return;
     }
 
-    // No valid session
-    logout();
+    // No valid session (the saved inputs of a timed-out page are kept for the next sign-in); an open
+    // tab that has one answers the request.
+    clearSession();
     showLogin();
+    broadcast({ type: 'request' });
   }
 
   window.IEnergyAuth = {
@@ -234,6 +812,24 @@
     isSessionValid,
     getRole,
     getUser,
-    AUTH_TTL_MS
+    getExpiry,
+    extendSession,
+    getPermissions,
+    hasPermission,
+    grantsPermission: grants,
+    applyPermissionUI,
+    hashPassword,
+    createCredential,
+    loadUsers,
+    getFailedLogins,
+    clearFailedLogins,
+    getSignedOutUsers,
+    PERMISSIONS,
+    AUTH_IDLE_MS,
+    AUTH_MAX_MS,
+    LOGIN_LOCKOUT_THRESHOLD,
+    LOGIN_LOCKOUT_MS,
+    // Older name of the idle timeout.
+    AUTH_TTL_MS: AUTH_IDLE_MS
   };
 })();
@@ -34,31 +34,81 @@ function bindHeaderLogoSizing() {
 }
 
 document.addEventListener("DOMContentLoaded", () => {
+  // Started first so initCalculatorBindings() can wait for it when restoring a permalink.
+  payrollRulesLoaded = loadPayrollRules();
   initCalculatorBindings();
   bindHeaderLogoSizing();
 });
 
-const OVERTIME_MULTIPLIER = 1.5;
+// Every payroll constant lives in payroll-rules.json so HR can publish a new rules file when the
+// law changes. The document is validated against payroll-rules.schema.json on load.
+// The calculations themselves live in payroll-engine.js (window.IEnergyPayroll).
+const PAYROLL_RULES_URL = "./payroll-rules.json";
+const PAYROLL_RULES_SCHEMA_URL = "./payroll-rules.schema.json";
 
-// Social insurance (employee insurable wage base) accepted range.
-// Requirement: any value outside this range must show an error and stop calculation.
-const INSURABLE_BASE_MIN = 5500;
-const INSURABLE_BASE_MAX = 16700;
-
-// Default parameters (not user-editable in UI)
-const DEFAULT_EMPLOYEE_SI_RATE_PCT = 11;
-const DEFAULT_COMPANY_SI_RATE_PCT = 18.75;
-const DEFAULT_PERSONAL_EXEMPTION_ANNUAL = 20000;
+const RULES_NOT_LOADED_MSG = "Payroll rules are not loaded. Please reload the page; if the problem persists, check payroll-rules.json.";
 
 
 let calculatorBindingsInitialized = false;
 
-const CAP_TABLE = {
-  2024: { min: 2000, max: 12600 },
-  2025: { min: 2300, max: 14500 },
-  2026: { min: 2700, max: 16700 },
-  2027: { min: 3200, max: 19300 }
-};
+// Breakdown of the last successful calculate() run (used by payslips); null when the results are cleared.
+let lastCalculation = null;
+
+// Rule sets keyed by payroll year; null until payroll-rules.json has loaded and passed validation.
+let payrollRules = null;
+let payrollYears = [];
+let defaultPayrollYear = null;
+let payrollRulesVersion = "";
+// Settles once loadPayrollRules() has finished, whether or not the rules are usable.
+let payrollRulesLoaded = null;
+
+async function fetchJson(url, label) {
+  let resp;
+  try {
+    resp = await fetch(url, { cache: "no-store" });
+  } catch (_) {
+    throw new Error(`Unable to load ${label}. Make sure the page is served over http(s).`);
+  }
+  if (!resp.ok) throw new Error(`Unable to load ${label} (HTTP ${resp.status}).`);
+  try {
+    return await resp.json();
+  } catch (_) {
+    throw new Error(`${label} is not valid JSON.`);
+  }
+}
+
+async function loadPayrollRules() {
+  try {
+    const [doc, schema] = await Promise.all([
+      fetchJson(PAYROLL_RULES_URL, "payroll-rules.json"),
+      fetchJson(PAYROLL_RULES_SCHEMA_URL, "payroll-rules.schema.json")
+    ]);
+
+    const errs = IEnergyPayroll.validateRulesDocument(doc, schema);
+    if (errs.length) {
+      showErrors(errs.map((e) => `payroll-rules.json: ${e}`));
+      return;
+    }
+
+    payrollRules = IEnergyPayroll.buildRuleSets(doc);
+    payrollYears = Object.keys(payrollRules).map(Number).sort((a, b) => a - b);
+    // Default to the current calendar year, clamped to the years we have rules for.
+    defaultPayrollYear = clamp(new Date().getFullYear(), payrollYears[0], payrollYears[payrollYears.length - 1]);
+    payrollRulesVersion = doc.version;
+
+    populatePayrollYears();
+    applyPayrollYearToUI();
+  } catch (e) {
+    showErrors([e && e.message ? e.message : RULES_NOT_LOADED_MSG]);
+  }
+}
+
+function getActiveRules() {
+  if (!payrollRules) return null;
+  const el = $("payrollYear");
+  const y = el ? Number(el.value) : NaN;
+  return payrollRules[y] || payrollRules[defaultPayrollYear];
+}
 
 
 function parseNumber(v) {
@@ -83,11 +133,25 @@ function fmtNumber(n, maximumFractionDigits = 2) {
   return n.toLocaleString("en-US", { maximumFractionDigits });
 }
 
+function fmtPct(rate, maximumFractionDigits = 2) {
+  if (!Number.isFinite(rate)) return "—";
+  return (rate * 100).toLocaleString("en-US", { maximumFractionDigits }) + "%";
+}
+
 function setText(id, text) {
   const el = $(id);
   if (el) el.textContent = text;
 }
 
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
 function formatInputThousands(id, maximumFractionDigits = 2) {
   const el = $(id);
   if (!el) return;
@@ -105,7 +169,13 @@ function wireThousandsSeparators() {
     "solveTargetNet",
     "solveAllowances",
     "solveInsurableBase",
-        "allowances",
+    "solveIncentive",
+    "solveBonus",
+    "solveMedicalInsurance",
+    "solveAdvanceLoan",
+    "solveBudget",
+    "solveCompanyMedical",
+    "allowances",
     "incentive",
     "bonus",
     "medicalInsurance",
@@ -116,7 +186,17 @@ function wireThousandsSeparators() {
   // Rate / hours fields (still formatted, but typically won't show separators)
   const otherFields = [
     "overtimeHours",
-    "deductionHours"
+    "nightOvertimeHours",
+    "restDayHours",
+    "publicHolidayHours",
+    "monthlyHoursDivisor",
+    "deductionHours",
+    "solveOvertimeHours",
+    "solveNightOvertimeHours",
+    "solveRestDayHours",
+    "solvePublicHolidayHours",
+    "solveMonthlyHoursDivisor",
+    "solveDeductionHours"
   ];
 
   [...amountFields, ...otherFields].forEach((id) => {
@@ -137,70 +217,6 @@ function wireThousandsSeparators() {
   });
 }
 
-/**
- * Annual progressive tax template (Egypt-style bracket structure).
- * IMPORTANT: This is a template; validate against your payroll rules.
- */
-function calcAnnualTaxEG(annualTaxableIncome) {
-  // Annual progressive salary tax (Egypt-style structure).
-  // Brackets (annual taxable):
-  // - 0% up to 40,000
-  // - 10% 40,001–55,000
-  // - 15% 55,001–70,000
-  // - 20% 70,001–200,000
-  // - 22.5% 200,001–400,000
-  // - 25% 400,001–1,200,000
-  // - 27.5% above 1,200,000
-  //
-  // For higher income bands (above 600k/700k/800k/900k), Egyptian payroll practice often
-  // removes certain lower-band reliefs. The piecewise cases below model that so results
-  // match common payroll calculators.
-
-  const I = Math.max(0, Number(annualTaxableIncome) || 0);
-
-  // Standard-table constants (<= 600k)
-  const T_10 = 15000 * 0.10;        // 40k–55k
-  const T_15 = 15000 * 0.15;        // 55k–70k
-  const T_20 = 130000 * 0.20;       // 70k–200k
-  const T_225 = 200000 * 0.225;     // 200k–400k
-  const T_BASE_400 = T_10 + T_15 + T_20 + T_225; // tax up to 400k (standard)
-
-  if (I > 1200000) {
-    // 25% of first 1.2M + 27.5% above
-    return 300000 + (I - 1200000) * 0.275;
-  }
-
-  if (I > 900000) {
-    // 22.5% up to 400k, then 25% above
-    return (400000 * 0.225) + (I - 400000) * 0.25;
-  }
-
-  if (I > 800000) {
-    // 20% up to 200k, 22.5% to 400k, then 25% above
-    return (200000 * 0.20) + (200000 * 0.225) + (I - 400000) * 0.25;
-  }
-
-  if (I > 700000) {
-    // 15% up to 70k, 20% to 200k, 22.5% to 400k, then 25% above
-    return (70000 * 0.15) + (130000 * 0.20) + (200000 * 0.225) + (I - 400000) * 0.25;
-  }
-
-  if (I > 600000) {
-    // 10% up to 55k, 15% to 70k, 20% to 200k, 22.5% to 400k, then 25% above
-    return (55000 * 0.10) + (15000 * 0.15) + (130000 * 0.20) + (200000 * 0.225) + (I - 400000) * 0.25;
-  }
-
-  // Standard table (<= 600k)
-  if (I <= 40000) return 0;
-  if (I <= 55000) return (I - 40000) * 0.10;
-  if (I <= 70000) return T_10 + (I - 55000) * 0.15;
-  if (I <= 200000) return T_10 + T_15 + (I - 70000) * 0.20;
-  if (I <= 400000) return T_10 + T_15 + T_20 + (I - 200000) * 0.225;
-
-  // 400k–600k
-  return T_BASE_400 + (I - 400000) * 0.25;
-}
-
 function validateNonNegative(name, n, errs) {
   if (!Number.isFinite(n)) errs.push(`${name} is not a valid number.`);
   else if (n < 0) errs.push(`${name} must be 0 or more.`);
@@ -223,6 +239,37 @@ function validateRangeInclusive(name, n, min, max, errs) {
   }
 }
 
+// Blank (0) means the rules default; otherwise a plausible number of paid hours in a month.
+function validateHoursDivisor(n, errs) {
+  if (n == null || n === 0) return;
+  if (!Number.isFinite(n)) errs.push("Monthly hours divisor is not a valid number.");
+  else if (n < 1 || n > 744) errs.push("Monthly hours divisor must be between 1 and 744 hours.");
+}
+
+// Form-level checks shared by the forward calculator and the batch run.
+function validatePayrollInput(inp, rules, errs) {
+  validateNonNegative("Basic gross salary", inp.basicGross, errs);
+  validateMin("Basic gross salary", inp.basicGross, rules.minBasicGross, errs);
+  validateNonNegative("Allowances", inp.allowances, errs);
+  validateNonNegative("Incentive", inp.incentive, errs);
+  validateNonNegative("Bonus", inp.bonus, errs);
+
+  validateNonNegative("Day overtime hours", inp.overtimeHours, errs);
+  validateNonNegative("Night overtime hours", inp.nightOvertimeHours, errs);
+  validateNonNegative("Rest-day hours", inp.restDayHours, errs);
+  validateNonNegative("Public-holiday hours", inp.publicHolidayHours, errs);
+  validateNonNegative("Deduction hours", inp.deductionHours, errs);
+  validateHoursDivisor(inp.monthlyHoursDivisor, errs);
+
+  validateNonNegative("Medical insurance", inp.medicalInsurance, errs);
+  validateNonNegative("Advance salary loan", inp.advanceLoan, errs);
+
+  validateNonNegative("Insurable salary base", inp.insurableBase, errs);
+  // Insurable base must be strictly within the allowed band; do NOT auto-clamp.
+  validateRangeInclusive("Insurable salary base", inp.insurableBase, rules.insurableBaseMin, rules.insurableBaseMax, errs);
+  return errs;
+}
+
 function showErrors(errs) {
   const boxes = [$("errorsTop"), $("errors")].filter(Boolean);
 
@@ -246,182 +293,203 @@ function showErrors(errs) {
 }
 
 function clearResults() {
+  lastCalculation = null;
   [
     "grossBeforeDeductions","grossMonthly","siMonthly","companySiMonthly","taxableMonthly","taxMonthly","martyrsMonthly","advanceMonthly","netMonthly",
-    "grossAnnual","grossAfterMedicalAnnual","insurableUsed","siAnnual","companySiAnnual","taxableAnnual","taxAnnual",
-    "hourlyRate","overtimeValue","hourDeductionValue"
+    "grossAnnual","grossAfterMedicalAnnual","insurableUsed","siAnnual","companySiAnnual","employerCostMonthly","taxableAnnual","taxAnnual",
+    "overtimeMonthly","hourlyRate","overtimeValue","hourDeductionValue",
+    ...OVERTIME_VALUE_IDS
   ].forEach((id) => {
     const el = $(id);
     if (el) el.textContent = "—";
   });
+  clearTaxSlices();
+  resetOvertimeLabels();
 }
 
 
 function calculate() {
   const errs = [];
 
+  const rules = getActiveRules();
+  if (!rules) {
+    clearResults();
+    showErrors([RULES_NOT_LOADED_MSG]);
+    return;
+  }
+
   const basicGross = parseNumber($("basicGross").value);
   const allowances = parseNumber($("allowances").value);
   const incentive = parseNumber($("incentive").value);
   const bonus = parseNumber($("bonus").value);
 
   const overtimeHours = parseNumber($("overtimeHours").value);
+  const nightOvertimeHours = parseNumber($("nightOvertimeHours").value);
+  const restDayHours = parseNumber($("restDayHours").value);
+  const publicHolidayHours = parseNumber($("publicHolidayHours").value);
   const deductionHours = parseNumber($("deductionHours").value);
+  const monthlyHoursDivisor = parseNumber($("monthlyHoursDivisor").value);
 
   const medicalInsurance = parseNumber($("medicalInsurance").value);
   const advanceLoan = parseNumber($("advanceLoan").value);
 
   const insurableBase = parseNumber($("insurableBase").value);
 
-  validateNonNegative("Basic gross salary", basicGross, errs);
-  validateMin("Basic gross salary", basicGross, 5500, errs);
-  validateNonNegative("Allowances", allowances, errs);
-  validateNonNegative("Incentive", incentive, errs);
-  validateNonNegative("Bonus", bonus, errs);
-
-  validateNonNegative("Overtime hours", overtimeHours, errs);
-  validateNonNegative("Deduction hours", deductionHours, errs);
-
-  validateNonNegative("Medical insurance", medicalInsurance, errs);
-  validateNonNegative("Advance salary loan", advanceLoan, errs);
-
-  validateNonNegative("Insurable salary base", insurableBase, errs);
-  // Insurable base must be strictly within the allowed band; do NOT auto-clamp.
-  validateRangeInclusive("Insurable salary base", insurableBase, INSURABLE_BASE_MIN, INSURABLE_BASE_MAX, errs);
-  const siRatePct = DEFAULT_EMPLOYEE_SI_RATE_PCT;
-  const companySiRatePct = DEFAULT_COMPANY_SI_RATE_PCT;
-  const personalExemption = DEFAULT_PERSONAL_EXEMPTION_ANNUAL;
+  const input = {
+    basicGross,
+    allowances,
+    incentive,
+    bonus,
+    overtimeHours,
+    nightOvertimeHours,
+    restDayHours,
+    publicHolidayHours,
+    deductionHours,
+    monthlyHoursDivisor,
+    medicalInsurance,
+    advanceLoan,
+    insurableBase
+  };
 
+  validatePayrollInput(input, rules, errs);
 
   if (errs.length) {
     clearResults();
     showErrors(errs);
 
     // Focus the most relevant field
-    if (!Number.isFinite(basicGross) || basicGross < 5500) {
+    if (!Number.isFinite(basicGross) || basicGross < rules.minBasicGross) {
       try { $("basicGross").focus(); } catch (_) {}
-    } else if (!Number.isFinite(insurableBase) || insurableBase < INSURABLE_BASE_MIN || insurableBase > INSURABLE_BASE_MAX) {
+    } else if (!Number.isFinite(insurableBase) || insurableBase < rules.insurableBaseMin || insurableBase > rules.insurableBaseMax) {
       try { $("insurableBase").focus(); } catch (_) {}
     }
     return;
   }
 
-  const hourlyRate = basicGross / 240.0;
-  const overtimeValueMonthly = overtimeHours * hourlyRate * OVERTIME_MULTIPLIER;
-  const hourDeductionValueMonthly = deductionHours * hourlyRate;
-
-  // Gross before deductions (monthly): basic gross salary + allowances + incentive + bonus + overtime
-  // Requirement: exclude deductions (hour deductions, medical, SI, tax, etc.).
-  const grossBeforeDeductionsMonthly = basicGross + allowances + incentive + bonus + overtimeValueMonthly;
+  const res = IEnergyPayroll.computePayroll(input, rules);
 
-  // Gross before medical (gross earnings)
-  const grossMonthly = basicGross + allowances + incentive + bonus + overtimeValueMonthly - hourDeductionValueMonthly;
-
-  // Deduct medical BEFORE tax & martyrs base
-  const grossAfterMedicalMonthly = grossMonthly - medicalInsurance;
-
-  if (grossAfterMedicalMonthly < 0) {
+  if (!res.ok) {
     clearResults();
-    showErrors(["Gross after deductions became negative. Please review hour deductions and medical insurance."]);
+    showErrors([res.reason]);
     try { $('medicalInsurance').focus(); } catch (_) {}
     return;
   }
 
-    const insurableUsed = insurableBase;
-  const siRate = siRatePct / 100.0;
-  const siMonthly = insurableUsed * siRate;
-
-  const companySiRate = companySiRatePct / 100.0;
-  const companySiMonthly = insurableUsed * companySiRate;
-
-  // Taxable salary: gross after deductions minus employee SI share
-  const taxableMonthly = grossAfterMedicalMonthly - siMonthly;
-
-  // Martyrs deduction based on gross AFTER medical
-  const martyrsMonthly = grossAfterMedicalMonthly * 0.0005;
-
-  const grossAnnual = grossMonthly * 12;
-  const grossAfterMedicalAnnual = grossAfterMedicalMonthly * 12;
-
-  const siAnnual = siMonthly * 12;
-  const companySiAnnual = companySiMonthly * 12;
-
-  const medicalAnnual = medicalInsurance * 12;
-  const martyrsAnnual = martyrsMonthly * 12;
-  const advanceAnnual = advanceLoan * 12;
-
-  // Taxable income: Gross after deductions (annual) minus employee SI (annual) minus personal exemption.
-  // Requirement: taxable salary = Gross after deductions (annual) - Employee SI (annual) - 20,000.
-  const taxableAnnual = Math.max(0, (grossAfterMedicalAnnual - siAnnual - personalExemption));
-  const taxAnnualRaw = calcAnnualTaxEG(taxableAnnual);
-  const taxAnnual = Number.isFinite(taxAnnualRaw) ? taxAnnualRaw : 0;
-  const taxMonthly = taxAnnual / 12;
-
-  // Net pay is calculated AFTER tax and martyrs; advance loan is a final net-pay deduction.
-  const netBeforeLoan = grossMonthly - medicalInsurance - siMonthly - taxMonthly - martyrsMonthly;
-  const netMonthly = netBeforeLoan - advanceLoan;
-
   showErrors([]);
+  lastCalculation = res;
+  renderResults(res);
+  announceRun("calculate", res);
+}
 
-  // Show gross AFTER deductions in the KPI area
-  setText("grossBeforeDeductions", fmtEGP(grossBeforeDeductionsMonthly));
-  setText("grossMonthly", fmtEGP(grossAfterMedicalMonthly));
-setText("siMonthly", fmtEGP(siMonthly));
-setText("companySiMonthly", fmtEGP(companySiMonthly));
-setText("taxableMonthly", fmtEGP(taxableMonthly));
-setText("taxMonthly", fmtEGP(taxMonthly));
-setText("martyrsMonthly", fmtEGP(martyrsMonthly));
-setText("advanceMonthly", fmtEGP(advanceLoan));
-setText("netMonthly", fmtEGP(netMonthly));
+// Tells other panels (e.g. the history) about a successful calculate() or solver run.
+// detail: { kind: "calculate" | "solve-net" | "solve-budget", res, fields } where fields are the
+// form values (readFormFields) that reproduce the run.
+function announceRun(kind, res) {
+  const ids = ["payrollYear", ...(kind === "calculate" ? CALCULATOR_FIELDS : SOLVER_FIELDS)];
+  document.dispatchEvent(new CustomEvent("payroll:run", { detail: { kind, res, fields: readFormFields(ids) } }));
+}
 
-setText("grossAnnual", fmtEGP(grossAnnual));
-setText("grossAfterMedicalAnnual", fmtEGP(grossAfterMedicalAnnual));
+function renderResults(res) {
+  // Show gross AFTER deductions in the KPI area
+  setText("grossBeforeDeductions", fmtEGP(res.grossBeforeDeductionsMonthly));
+  setText("grossMonthly", fmtEGP(res.grossAfterMedicalMonthly));
+  setText("siMonthly", fmtEGP(res.siMonthly));
+  setText("companySiMonthly", fmtEGP(res.companySiMonthly));
+  setText("taxableMonthly", fmtEGP(res.taxableMonthly));
+  setText("taxMonthly", fmtEGP(res.taxMonthly));
+  setText("martyrsMonthly", fmtEGP(res.martyrsMonthly));
+  setText("advanceMonthly", fmtEGP(res.advanceLoan));
+  setText("netMonthly", fmtEGP(res.netMonthly));
+
+  setText("grossAnnual", fmtEGP(res.grossAnnual));
+  setText("grossAfterMedicalAnnual", fmtEGP(res.grossAfterMedicalAnnual));
+
+  setText("insurableUsed", fmtEGP(res.insurableUsed));
+
+  setText("siAnnual", fmtEGP(res.siAnnual));
+  setText("companySiAnnual", fmtEGP(res.companySiAnnual));
+  setText("employerCostMonthly", fmtEGP(res.employerCostMonthly));
+
+  setText("taxableAnnual", fmtEGP(res.taxableAnnual));
+  setText("taxAnnual", fmtEGP(res.taxAnnual));
+
+  setText("overtimeMonthly", fmtEGP(res.overtimeValueMonthly));
+  setText("hourlyRateLabel", `Hourly rate (Basic/${fmtNumber(res.monthlyHoursDivisor)})`);
+  setText("hourlyRate", fmtEGP(res.hourlyRate));
+  setText("overtimeValue", fmtEGP(res.overtimeValueMonthly));
+  res.overtime.forEach((o) => {
+    const suffix = overtimeIdSuffix(o.key);
+    setText(`overtimeLabel${suffix}`, `${o.label} (${fmtNumber(o.hours)} h × ${fmtNumber(o.multiplier)})`);
+    setText(`overtimeValue${suffix}`, fmtEGP(o.value));
+  });
+  setText("hourDeductionValue", fmtEGP(res.hourDeductionValueMonthly));
 
-setText("insurableUsed", fmtEGP(insurableUsed));
+  renderTaxSlices(res);
+}
 
-setText("siAnnual", fmtEGP(siAnnual));
-setText("companySiAnnual", fmtEGP(companySiAnnual));
+// "restDay" -> "RestDay", for the per-category breakdown ids.
+function overtimeIdSuffix(key) {
+  return key.charAt(0).toUpperCase() + key.slice(1);
+}
 
-setText("taxableAnnual", fmtEGP(taxableAnnual));
-setText("taxAnnual", fmtEGP(taxAnnual));
+const OVERTIME_VALUE_IDS = IEnergyPayroll.OVERTIME_CATEGORIES.map((c) => `overtimeValue${overtimeIdSuffix(c.key)}`);
 
-setText("hourlyRate", fmtEGP(hourlyRate));
-setText("overtimeValue", fmtEGP(overtimeValueMonthly));
-setText("hourDeductionValue", fmtEGP(hourDeductionValueMonthly));
+function resetOvertimeLabels() {
+  IEnergyPayroll.OVERTIME_CATEGORIES.forEach((c) => setText(`overtimeLabel${overtimeIdSuffix(c.key)}`, c.label));
 }
 
+const TAX_SLICES_PLACEHOLDER = '<tr><td colspan="4">Calculate a salary to see the tax bands.</td></tr>';
 
-function computeNetMonthlyForBasicGross(basicGross, p) {
-  const hourlyRate = basicGross / 240.0;
-  const overtimeValueMonthly = p.overtimeHours * hourlyRate * OVERTIME_MULTIPLIER;
-  const hourDeductionValueMonthly = p.deductionHours * hourlyRate;
-
-  const grossMonthly = basicGross + p.allowances + p.incentive + p.bonus + overtimeValueMonthly - hourDeductionValueMonthly;
-  const grossAfterMedicalMonthly = grossMonthly - p.medicalInsurance;
+function taxBandLabel(from, to) {
+  return to == null ? `Above ${fmtNumber(from)}` : `${fmtNumber(from)} – ${fmtNumber(to)}`;
+}
 
-  if (grossAfterMedicalMonthly < 0) {
-    return { ok: false, reason: "Gross after deductions became negative. Please review hour deductions and medical insurance." };
+// Slice-by-slice tax table plus the marginal/effective rate indicator.
+function renderTaxSlices(res) {
+  setText("marginalTaxRate", fmtPct(res.marginalTaxRate));
+  setText("effectiveTaxRate", fmtPct(res.effectiveTaxRate));
+  setText("marginalRateLegend", fmtPct(res.marginalTaxRate));
+  setText("effectiveRateLegend", fmtPct(res.effectiveTaxRate));
+
+  // The meter spans 0% to the top bracket rate.
+  const rules = getActiveRules();
+  const topRate = rules ? Math.max(...rules.taxBrackets.map((b) => b.rate)) : 0;
+  const pct = (r) => (topRate > 0 ? `${Math.min(100, (r / topRate) * 100)}%` : "0%");
+  if ($("effectiveRateBar")) $("effectiveRateBar").style.width = pct(res.effectiveTaxRate);
+  if ($("marginalRateMark")) $("marginalRateMark").style.left = pct(res.marginalTaxRate);
+
+  const body = $("taxSlicesBody");
+  if (body) {
+    body.innerHTML = res.taxSlices.map((s) => {
+      if (s.removed) {
+        return `<tr class="muted-row"><td>${taxBandLabel(s.from, s.to)}</td><td class="num">${fmtPct(s.rate)}</td><td colspan="2" class="num">Relief removed</td></tr>`;
+      }
+      return `<tr><td>${taxBandLabel(s.from, s.to)}</td><td class="num">${fmtPct(s.rate)}</td><td class="num">${fmtNumber(s.taxed)}</td><td class="num">${fmtNumber(s.tax)}</td></tr>`;
+    }).join("") +
+      `<tr class="total-row"><td>Total</td><td></td><td class="num">${fmtNumber(res.taxableAnnual)}</td><td class="num">${fmtNumber(res.taxAnnual)}</td></tr>`;
   }
 
-  const insurableUsed = p.insurableBase;
-  const siMonthly = insurableUsed * (DEFAULT_EMPLOYEE_SI_RATE_PCT / 100.0);
-
-  const martyrsMonthly = grossAfterMedicalMonthly * 0.0005;
-
-  const grossAnnual = grossMonthly * 12;
-  const grossAfterMedicalAnnual = grossAfterMedicalMonthly * 12;
-  const siAnnual = siMonthly * 12;
-
-  // Taxable income follows the same rule as the forward calculator.
-  const taxableAnnual = Math.max(0, (grossAfterMedicalAnnual - siAnnual - DEFAULT_PERSONAL_EXEMPTION_ANNUAL));
-  const taxAnnualRaw = calcAnnualTaxEG(taxableAnnual);
-  const taxAnnual = Number.isFinite(taxAnnualRaw) ? taxAnnualRaw : 0;
-  const taxMonthly = taxAnnual / 12;
-
-  const netBeforeLoan = grossMonthly - p.medicalInsurance - siMonthly - taxMonthly - martyrsMonthly;
-  const netMonthly = netBeforeLoan - p.advanceLoan;
+  const note = $("taxSlicesNote");
+  if (!note) return;
+  const removed = res.taxSlices.filter((s) => s.removed);
+  if (!removed.length) {
+    note.hidden = true;
+    note.textContent = "";
+    return;
+  }
+  const first = res.taxSlices[res.reliefRemovedBands];
+  note.hidden = false;
+  note.textContent =
+    `Annual taxable income is above the relief threshold, so the lower ${removed.length === 1 ? "band is" : `${removed.length} bands are`} ` +
+    `removed and ${fmtPct(first.rate)} applies from the first pound up to ${fmtNumber(first.to)} EGP.`;
+}
 
-  return { ok: true, netMonthly, taxMonthly, martyrsMonthly, siMonthly, grossMonthly, grossAfterMedicalMonthly };
+function clearTaxSlices() {
+  ["marginalTaxRate", "effectiveTaxRate", "marginalRateLegend", "effectiveRateLegend"].forEach((id) => setText(id, "—"));
+  if ($("effectiveRateBar")) $("effectiveRateBar").style.width = "0%";
+  if ($("marginalRateMark")) $("marginalRateMark").style.left = "0%";
+  if ($("taxSlicesBody")) $("taxSlicesBody").innerHTML = TAX_SLICES_PLACEHOLDER;
+  if ($("taxSlicesNote")) $("taxSlicesNote").hidden = true;
 }
 
 function showErrorsIn(containerId, messages) {
@@ -436,123 +504,137 @@ function showErrorsIn(containerId, messages) {
   box.innerHTML = "<ul>" + messages.map((m) => `<li>${m}</li>`).join("") + "</ul>";
 }
 
-function solveBasicGrossSection() {
-  const errs = [];
+const SOLVE_BREAKDOWN_IDS = [
+  "solveOutGross", "solveOutInsurable", "solveOutEmployeeSi", "solveOutCompanySi",
+  "solveOutMartyrs", "solveOutCompanyMedical", "solveOutEmployerCost", "solveOutEmployerCostAnnual"
+];
 
-  const targetNet = parseNumber($("solveTargetNet").value);
-  const allowances = parseNumber($("solveAllowances").value);
-  const insurableBase = parseNumber($("solveInsurableBase").value);
+function clearSolveOutputs() {
+  $("solveOutBasicGross").value = "";
+  $("solveOutTax").value = "";
+  $("solveOutNet").value = "";
+  SOLVE_BREAKDOWN_IDS.forEach((id) => setText(id, "—"));
+  showNotesIn("solveNotes", []);
+}
 
-  validateNonNegative("Target net salary", targetNet, errs);
-  validateNonNegative("Allowances", allowances, errs);
-  validateNonNegative("Insurable salary base", insurableBase, errs);
-  validateRangeInclusive("Insurable salary base", insurableBase, INSURABLE_BASE_MIN, INSURABLE_BASE_MAX, errs);
+function renderSolveOutputs(basicGross, res) {
+  $("solveOutBasicGross").value = fmtNumber(basicGross, 2);
+  $("solveOutTax").value = fmtNumber(res.taxMonthly, 2);
+  $("solveOutNet").value = fmtNumber(res.netMonthly, 2);
+
+  setText("solveOutGross", fmtEGP(res.grossMonthly));
+  setText("solveOutInsurable", fmtEGP(res.insurableUsed));
+  setText("solveOutEmployeeSi", fmtEGP(res.siMonthly));
+  setText("solveOutCompanySi", fmtEGP(res.companySiMonthly));
+  setText("solveOutMartyrs", fmtEGP(res.martyrsMonthly));
+  setText("solveOutCompanyMedical", fmtEGP(res.companyMedicalMonthly));
+  setText("solveOutEmployerCost", fmtEGP(res.employerCostMonthly));
+  setText("solveOutEmployerCostAnnual", fmtEGP(res.employerCostAnnual));
+}
 
-  if (errs.length) {
-    $("solveOutBasicGross").value = "";
-    $("solveOutTax").value = "";
-    $("solveOutNet").value = "";
-    showErrorsIn("errorsSolve", errs);
-    return;
-  }
+function getSolveMode() {
+  const el = $("solveMode");
+  return el && el.value === "budget" ? "budget" : "net";
+}
 
+// Show only the inputs that belong to the selected solve mode.
+function applySolveMode() {
+  const mode = getSolveMode();
+  document.querySelectorAll("[data-solve-mode]").forEach((el) => {
+    el.hidden = el.getAttribute("data-solve-mode") !== mode;
+  });
+  clearSolveOutputs();
   showErrorsIn("errorsSolve", []);
+}
 
-  const p = {
-    allowances,
-    incentive: 0,
-    bonus: 0,
-    overtimeHours: 0,
-    deductionHours: 0,
-    medicalInsurance: 0,
-    advanceLoan: 0,
-    insurableBase
-  };
-
-  // Enforce the same minimum basic gross salary rule used by the forward calculator.
-  const MIN_BASIC_GROSS = 5500;
-
-  // We solve for the BASIC gross salary that produces a total net paid equal to:
-  // (Target net salary + Allowances).
-  // This matches the requirement that the basic gross net after deductions equals the sum of target net and allowances.
-  const targetNetTotal = targetNet + allowances;
+function showNotesIn(containerId, messages) {
+  const box = $(containerId);
+  if (!box) return;
+  box.hidden = !messages.length;
+  box.innerHTML = messages.length ? "<ul>" + messages.map((m) => `<li>${m}</li>`).join("") + "</ul>" : "";
+}
 
-  let low = MIN_BASIC_GROSS;
-  let high = Math.max(20000, targetNetTotal * 2 + 50000);
+function solveBasicGrossSection() {
+  const errs = [];
 
-  const lowRes = computeNetMonthlyForBasicGross(low, p);
-  if (!lowRes.ok) {
-    showErrorsIn("errorsSolve", [lowRes.reason]);
-    return;
-  }
-  if (targetNetTotal < MIN_BASIC_GROSS) {
-    showErrorsIn("errorsSolve", [
-      `Target net salary is too low. The sum of target net salary and allowances must be at least ${MIN_BASIC_GROSS.toLocaleString("en-US")} EGP.`
-    ]);
+  const rules = getActiveRules();
+  if (!rules) {
+    showErrorsIn("errorsSolve", [RULES_NOT_LOADED_MSG]);
     return;
   }
 
-  // Increase upper bound until we bracket the target.
-  let highRes = computeNetMonthlyForBasicGross(high, p);
-  let guard = 0;
-  while ((highRes.ok && highRes.netMonthly < targetNetTotal) && high < 5000000 && guard < 40) {
-    high *= 1.5;
-    highRes = computeNetMonthlyForBasicGross(high, p);
-    guard += 1;
-  }
-  if (!highRes.ok) {
-    showErrorsIn("errorsSolve", [highRes.reason]);
-    return;
+  const mode = getSolveMode();
+  const targetNet = parseNumber($("solveTargetNet").value);
+  const budget = parseNumber($("solveBudget").value);
+  const followsBasic = mode === "budget" && !!($("solveInsurableFollowsBasic") && $("solveInsurableFollowsBasic").checked);
+  const input = {
+    allowances: parseNumber($("solveAllowances").value),
+    incentive: parseNumber($("solveIncentive").value),
+    bonus: parseNumber($("solveBonus").value),
+    overtimeHours: parseNumber($("solveOvertimeHours").value),
+    nightOvertimeHours: parseNumber($("solveNightOvertimeHours").value),
+    restDayHours: parseNumber($("solveRestDayHours").value),
+    publicHolidayHours: parseNumber($("solvePublicHolidayHours").value),
+    deductionHours: parseNumber($("solveDeductionHours").value),
+    monthlyHoursDivisor: parseNumber($("solveMonthlyHoursDivisor").value),
+    medicalInsurance: parseNumber($("solveMedicalInsurance").value),
+    advanceLoan: parseNumber($("solveAdvanceLoan").value),
+    insurableBase: parseNumber($("solveInsurableBase").value),
+    companyMedicalInsurance: mode === "budget" ? parseNumber($("solveCompanyMedical").value) : 0
+  };
+
+  if (mode === "budget") {
+    validateNonNegative("Employer cost budget", budget, errs);
+    validateNonNegative("Company-paid medical", input.companyMedicalInsurance, errs);
+  } else {
+    validateNonNegative("Target net salary", targetNet, errs);
   }
-  if (highRes.netMonthly < targetNetTotal) {
-    showErrorsIn("errorsSolve", [
-      "Unable to solve: target net salary is too high given the current assumptions. Please review allowances or try a lower net."
-    ]);
+  // Same checks as the forward calculator, except the basic gross we are solving for
+  // (and the insurable base when it follows the basic gross).
+  validatePayrollInput({
+    ...input,
+    basicGross: rules.minBasicGross,
+    insurableBase: followsBasic ? rules.insurableBaseMin : input.insurableBase
+  }, rules, errs);
+
+  if (errs.length) {
+    clearSolveOutputs();
+    showErrorsIn("errorsSolve", errs);
     return;
   }
 
-  // Higher-accuracy solve:
-  // Search on 0.01 EGP steps (piastres) and pick the closest match to the target net.
-  // This eliminates drift that can appear when we later format the basic gross for display.
-
-  const toCents = (x) => Math.round(x * 100);
-  const fromCents = (c) => c / 100;
-
-  let lo = toCents(low);
-  let hi = toCents(high);
-
-  for (let i = 0; i < 120 && lo < hi; i++) {
-    const mid = Math.floor((lo + hi) / 2);
-    const res = computeNetMonthlyForBasicGross(fromCents(mid), p);
-    if (!res.ok) {
-      showErrorsIn("errorsSolve", [res.reason]);
+  if (mode === "budget") {
+    const monthlyBudget = $("solveBudgetPeriod") && $("solveBudgetPeriod").value === "annual" ? budget / 12 : budget;
+    const solvedBudget = IEnergyPayroll.solveBasicGrossForBudget(monthlyBudget, input, rules, { insurableFollowsBasic: followsBasic });
+    if (!solvedBudget.ok) {
+      clearSolveOutputs();
+      showErrorsIn("errorsSolve", [solvedBudget.reason]);
       return;
     }
-    if (res.netMonthly < targetNetTotal) lo = mid + 1;
-    else hi = mid;
+    showErrorsIn("errorsSolve", []);
+    showNotesIn("solveNotes", []);
+    renderSolveOutputs(solvedBudget.basicGross, solvedBudget.result);
+    announceRun("solve-budget", solvedBudget.result);
+    return;
   }
 
-  const candidates = [];
-  const window = 500; // +/- 5.00 EGP
-  const start = Math.max(toCents(MIN_BASIC_GROSS), lo - window);
-  const end = lo + window;
-  for (let c = start; c <= end; c++) {
-    const g = fromCents(c);
-    const r = computeNetMonthlyForBasicGross(g, p);
-    if (r.ok) candidates.push({ g, ...r, diff: Math.abs(r.netMonthly - targetNetTotal) });
-  }
+  // We solve for the BASIC gross salary that produces a total net paid equal to:
+  // (Target net salary + Allowances).
+  // This matches the requirement that the basic gross net after deductions equals the sum of target net and allowances.
+  // Every other component (incentive, bonus, overtime, deductions, medical, loan) is held fixed.
+  const targetNetTotal = targetNet + input.allowances;
 
-  if (!candidates.length) {
-    showErrorsIn("errorsSolve", ["Unable to solve due to invalid intermediate values."]);
+  const solved = IEnergyPayroll.solveBasicGrossForNet(targetNetTotal, input, rules, { netOffset: input.allowances });
+  if (!solved.ok) {
+    clearSolveOutputs();
+    showErrorsIn("errorsSolve", [solved.reason]);
     return;
   }
 
-  candidates.sort((a, b) => a.diff - b.diff || a.g - b.g);
-  const best = candidates[0];
-
-  $("solveOutBasicGross").value = fmtNumber(best.g, 2);
-  $("solveOutTax").value = fmtNumber(best.taxMonthly, 2);
-  $("solveOutNet").value = fmtNumber(best.netMonthly, 2);
+  showErrorsIn("errorsSolve", []);
+  showNotesIn("solveNotes", solved.notes);
+  renderSolveOutputs(solved.basicGross, solved.result);
+  announceRun("solve-net", solved.result);
 }
 
 
@@ -563,7 +645,11 @@ function resetForm() {
   $("bonus").value = "";
 
   $("overtimeHours").value = "";
+  $("nightOvertimeHours").value = "";
+  $("restDayHours").value = "";
+  $("publicHolidayHours").value = "";
   $("deductionHours").value = "";
+  $("monthlyHoursDivisor").value = "";
 
   $("medicalInsurance").value = "";
   $("advanceLoan").value = "";
@@ -571,27 +657,298 @@ function resetForm() {
   $("insurableBase").value = "";
 
   // Reset Basic Gross from Net section
-  $("solveTargetNet").value = "";
-  $("solveInsurableBase").value = "";
-  $("solveAllowances").value = "";
-  $("solveOutBasicGross").value = "";
-  $("solveOutTax").value = "";
-  $("solveOutNet").value = "";
+  [
+    "solveTargetNet", "solveInsurableBase", "solveAllowances", "solveIncentive", "solveBonus",
+    "solveOvertimeHours", "solveNightOvertimeHours", "solveRestDayHours", "solvePublicHolidayHours",
+    "solveMonthlyHoursDivisor", "solveDeductionHours", "solveMedicalInsurance", "solveAdvanceLoan",
+    "solveBudget", "solveCompanyMedical"
+  ].forEach((id) => {
+    const el = $(id);
+    if (el) el.value = "";
+  });
+  if ($("solveInsurableFollowsBasic")) $("solveInsurableFollowsBasic").checked = false;
+  clearSolveOutputs();
+  showErrorsIn("errorsSolve", []);
 
 
   [
     "grossMonthly","siMonthly","companySiMonthly","taxableMonthly","taxMonthly","martyrsMonthly","advanceMonthly","netMonthly",
-    "grossAnnual","grossAfterMedicalAnnual","insurableUsed","siAnnual","companySiAnnual","taxableAnnual","taxAnnual",
-    "hourlyRate","overtimeValue","hourDeductionValue"
+    "grossAnnual","grossAfterMedicalAnnual","insurableUsed","siAnnual","companySiAnnual","employerCostMonthly","taxableAnnual","taxAnnual",
+    "overtimeMonthly","hourlyRate","overtimeValue","hourDeductionValue",
+    ...OVERTIME_VALUE_IDS
   ].forEach(id => {
     const el = $(id);
     if (el) el.textContent = "—";
   });
 
+  clearTaxSlices();
+  resetOvertimeLabels();
+
+  lastCalculation = null;
   showErrors([]);
 
 }
 
+// Calculator form fields, named like the engine input they feed.
+const CALCULATOR_FIELDS = [
+  "basicGross", "allowances", "incentive", "bonus",
+  "overtimeHours", "nightOvertimeHours", "restDayHours", "publicHolidayHours",
+  "deductionHours", "monthlyHoursDivisor",
+  "medicalInsurance", "advanceLoan",
+  "insurableBase"
+];
+
+// Fixed monthly components from the calculator form (no bonus, overtime, deductions or loan),
+// as used by the month-by-month, raise and loan tools.
+function readBasePackage() {
+  return {
+    basicGross: parseNumber($("basicGross").value),
+    allowances: parseNumber($("allowances").value),
+    incentive: parseNumber($("incentive").value),
+    medicalInsurance: parseNumber($("medicalInsurance").value),
+    insurableBase: parseNumber($("insurableBase").value),
+    monthlyHoursDivisor: parseNumber($("monthlyHoursDivisor").value)
+  };
+}
+
+// Put a saved engine input (scenario, history entry, ...) back into the calculator form.
+function fillCalculatorForm(input, year) {
+  const sel = $("payrollYear");
+  if (sel && payrollYears.includes(Number(year))) {
+    sel.value = String(year);
+    applyPayrollYearToUI();
+  }
+  CALCULATOR_FIELDS.forEach((id) => {
+    const el = $(id);
+    if (!el) return;
+    const n = Number(input && input[id]);
+    el.value = Number.isFinite(n) && n !== 0 ? fmtNumber(n, 2) : "";
+  });
+}
+
+// -----------------------------
+// Permalinks
+// -----------------------------
+// Every calculator and solver field goes into the URL hash, e.g. #basicGross=12000&insurableBase=9000.
+// With "Hide amounts" the same query string is base64url-encoded as #z=... (obfuscation, not encryption).
+const SOLVER_FIELDS = [
+  "solveMode", "solveTargetNet", "solveBudget", "solveBudgetPeriod", "solveCompanyMedical", "solveInsurableFollowsBasic",
+  "solveInsurableBase", "solveAllowances", "solveIncentive", "solveBonus",
+  "solveOvertimeHours", "solveNightOvertimeHours", "solveRestDayHours", "solvePublicHolidayHours",
+  "solveMonthlyHoursDivisor", "solveDeductionHours", "solveMedicalInsurance", "solveAdvanceLoan"
+];
+const PERMALINK_FIELDS = ["payrollYear", ...CALCULATOR_FIELDS, ...SOLVER_FIELDS];
+const PERMALINK_OBFUSCATED_KEY = "z";
+
+function isCheckbox(el) {
+  return el.type === "checkbox";
+}
+
+function isNumericInput(el) {
+  return el.tagName === "INPUT" && !isCheckbox(el);
+}
+
+// Current values of the given form fields, keyed by id: plain numbers (as strings) for amount/hours
+// inputs, "1" for ticked boxes, the value for selects. Empty fields are left out.
+function readFormFields(ids) {
+  const out = {};
+  ids.forEach((id) => {
+    const el = $(id);
+    if (!el) return;
+    if (isCheckbox(el)) {
+      if (el.checked) out[id] = "1";
+      return;
+    }
+    const raw = String(el.value ?? "").trim();
+    if (raw === "") return;
+    const n = isNumericInput(el) ? parseNumber(raw) : NaN;
+    out[id] = Number.isFinite(n) ? String(n) : raw;
+  });
+  return out;
+}
+
+// Inverse of readFormFields. Fields missing from values are cleared (selects keep their value).
+function writeFormFields(values, ids) {
+  ids.forEach((id) => {
+    const el = $(id);
+    if (!el) return;
+    const v = values[id];
+    if (isCheckbox(el)) {
+      el.checked = v === "1";
+    } else if (el.tagName === "SELECT") {
+      if (v != null) el.value = v;
+    } else {
+      const n = parseNumber(v);
+      el.value = v == null ? "" : (Number.isFinite(n) ? fmtNumber(n, 2) : v);
+    }
+  });
+}
+
+// Empty when no amount or hours field is filled in (selects alone are not worth a link).
+function serializeForm() {
+  const values = readFormFields(PERMALINK_FIELDS);
+  const hasValue = Object.keys(values).some((id) => isNumericInput($(id)));
+  return hasValue ? new URLSearchParams(values).toString() : "";
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+function buildPermalinkHash(obfuscate) {
+  const query = serializeForm();
+  if (!query) return "";
+  return obfuscate ? `${PERMALINK_OBFUSCATED_KEY}=${toBase64Url(query)}` : query;
+}
+
+// Returns URLSearchParams for the current hash, or null when there is nothing (valid) to restore.
+function readPermalinkHash() {
+  const hash = String(location.hash || "").replace(/^#/, "");
+  if (!hash) return null;
+  let params = new URLSearchParams(hash);
+  const hidden = params.get(PERMALINK_OBFUSCATED_KEY);
+  if (hidden) {
+    try {
+      params = new URLSearchParams(fromBase64Url(hidden));
+    } catch (_) {
+      return null;
+    }
+  }
+  return PERMALINK_FIELDS.some((id) => params.has(id)) ? params : null;
+}
+
+async function restoreFromPermalink() {
+  const params = readPermalinkHash();
+  if (!params) return;
+
+  // Fields not in the link are cleared so the page shows exactly the shared inputs.
+  writeFormFields(Object.fromEntries(params), PERMALINK_FIELDS.filter((id) => id !== "payrollYear"));
+  applySolveMode();
+  const obfuscate = $("permalinkObfuscate");
+  if (obfuscate) obfuscate.checked = String(location.hash).startsWith(`#${PERMALINK_OBFUSCATED_KEY}=`);
+
+  // The year options and the rules arrive with payroll-rules.json.
+  await payrollRulesLoaded;
+  if (!payrollRules) return;
+  const year = Number(params.get("payrollYear"));
+  const sel = $("payrollYear");
+  if (sel && payrollYears.includes(year)) {
+    sel.value = String(year);
+    applyPayrollYearToUI();
+  }
+
+  if (CALCULATOR_FIELDS.some((id) => params.has(id))) calculate();
+  if (params.has("solveTargetNet") || params.has("solveBudget")) solveBasicGrossSection();
+}
+
+// After a session timeout auth.js puts the typed inputs back once the user signs in again; the year
+// options may not have existed yet, so the year is re-applied once the rules are in.
+async function restoreAfterSignIn(e) {
+  const fields = (e && e.detail && e.detail.fields) || {};
+  await payrollRulesLoaded;
+  if (!payrollRules) return;
+  const year = Number(fields.payrollYear && fields.payrollYear.value);
+  const sel = $("payrollYear");
+  if (sel && payrollYears.includes(year)) {
+    sel.value = String(year);
+    applyPayrollYearToUI();
+  }
+  if (String(($("basicGross") && $("basicGross").value) || "").trim()) calculate();
+}
+
+function setPermalinkStatus(msg, isError) {
+  const el = $("permalinkStatus");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("status-error", !!isError);
+}
+
+async function copyTextToClipboard(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (_) { /* fall back below */ }
+  }
+  const ta = document.createElement("textarea");
+  ta.value = text;
+  ta.setAttribute("readonly", "");
+  ta.style.position = "fixed";
+  ta.style.opacity = "0";
+  document.body.appendChild(ta);
+  ta.select();
+  let ok = false;
+  try { ok = document.execCommand("copy"); } catch (_) {}
+  document.body.removeChild(ta);
+  return ok;
+}
+
+async function copyPermalink() {
+  const obfuscate = !!($("permalinkObfuscate") && $("permalinkObfuscate").checked);
+  const hash = buildPermalinkHash(obfuscate);
+  if (!hash) {
+    setPermalinkStatus("Fill in the calculator or the solver first; there is nothing to link to yet.", true);
+    return;
+  }
+
+  // Keep the address bar in line with the copied link without adding a history entry.
+  const url = `${location.href.split("#")[0]}#${hash}`;
+  try { history.replaceState(null, "", url); } catch (_) {}
+
+  const copied = await copyTextToClipboard(url);
+  if (copied) {
+    setPermalinkStatus(obfuscate ? "Link copied (amounts hidden)." : "Link copied.", false);
+  } else {
+    setPermalinkStatus("Copy failed. The link is in the address bar; copy it from there.", true);
+  }
+}
+
+function populatePayrollYears() {
+  const sel = $("payrollYear");
+  if (!sel) return;
+  sel.innerHTML = payrollYears.map((y) => `<option value="${y}">${y}</option>`).join("");
+  sel.value = String(defaultPayrollYear);
+}
+
+// Keep placeholders and hints in line with the loaded rules and the selected year's caps.
+function applyPayrollYearToUI() {
+  const rules = getActiveRules();
+  if (!rules) return;
+  const range = `${fmtNumber(rules.insurableBaseMin)} – ${fmtNumber(rules.insurableBaseMax)}`;
+  const between = `between ${fmtNumber(rules.insurableBaseMin)} and ${fmtNumber(rules.insurableBaseMax)}`;
+
+  ["insurableBase", "solveInsurableBase"].forEach((id) => {
+    const el = $(id);
+    if (el) el.placeholder = `${range} (e.g. ${fmtNumber(Math.max(6000, rules.insurableBaseMin))})`;
+  });
+  const basic = $("basicGross");
+  if (basic) basic.placeholder = `min ${fmtNumber(rules.minBasicGross)} (e.g. ${fmtNumber(Math.max(6000, rules.minBasicGross))})`;
+  IEnergyPayroll.OVERTIME_CATEGORIES.forEach((c) => {
+    setText(`${c.field}Hint`, `Paid at (Hour rate) × ${fmtNumber(rules.overtimeMultipliers[c.key])}`);
+  });
+  ["monthlyHoursDivisor", "solveMonthlyHoursDivisor"].forEach((id) => {
+    const el = $(id);
+    if (el) el.placeholder = fmtNumber(rules.monthlyHoursDivisor);
+  });
+  setText("monthlyHoursDivisorHint", `Hour rate = basic gross ÷ divisor. Leave blank for ${fmtNumber(rules.monthlyHoursDivisor)}.`);
+  setText("hourlyRateLabel", `Hourly rate (Basic/${fmtNumber(rules.monthlyHoursDivisor)})`);
+  setText("insurableBaseHint", `Basic S.I. wage (${between}).`);
+  setText("solveInsurableBaseHint", `Must be ${between}.`);
+  setText(
+    "payrollYearHint",
+    `SI ${fmtNumber(rules.employeeSiRatePct)}% / ${fmtNumber(rules.companySiRatePct)}%, exemption ${fmtNumber(rules.personalExemptionAnnual)} EGP (rules ${payrollRulesVersion}).`
+  );
+}
+
 function initCalculatorBindings() {
   if (calculatorBindingsInitialized) return;
   calculatorBindingsInitialized = true;
@@ -600,24 +957,43 @@ function initCalculatorBindings() {
   if (btnCalc) btnCalc.addEventListener("click", calculate);  if (btnReset) btnReset.addEventListener("click", resetForm);
   if (btnSolveGross) btnSolveGross.addEventListener("click", solveBasicGrossSection);
 
+  // The year options are filled in by loadPayrollRules().
+  const payrollYear = $("payrollYear");
+  if (payrollYear) payrollYear.addEventListener("change", applyPayrollYearToUI);
+
+  const solveMode = $("solveMode");
+  if (solveMode) solveMode.addEventListener("change", applySolveMode);
+
+  const btnCopyLink = $("btnCopyLink");
+  if (btnCopyLink) btnCopyLink.addEventListener("click", copyPermalink);
+
   // Apply thousands separators to all numeric inputs.
   wireThousandsSeparators();
 
   // Enter-to-calc handlers (includes all inputs)
   [
     "basicGross","allowances","incentive","bonus",
-    "overtimeHours","deductionHours",
+    "overtimeHours","nightOvertimeHours","restDayHours","publicHolidayHours","deductionHours","monthlyHoursDivisor",
     "medicalInsurance","advanceLoan",
     "insurableBase",
-    "solveTargetNet","solveInsurableBase","solveAllowances"
+    "solveTargetNet","solveInsurableBase","solveAllowances","solveIncentive","solveBonus",
+    "solveOvertimeHours","solveNightOvertimeHours","solveRestDayHours","solvePublicHolidayHours",
+    "solveMonthlyHoursDivisor","solveDeductionHours","solveMedicalInsurance","solveAdvanceLoan",
+    "solveBudget","solveCompanyMedical"
   ].forEach((id) => {
     const el = document.getElementById(id);
     if (!el) return;
+    const run = id.startsWith("solve") ? solveBasicGrossSection : calculate;
     el.addEventListener("keydown", (e) => {
       if (e.key === "Enter") {
         e.preventDefault();
-        calculate();
+        run();
       }
     });
   });
+
+  // Shared links: restore the fields from the hash and calculate (also when a link is pasted into this tab).
+  restoreFromPermalink();
+  window.addEventListener("hashchange", restoreFromPermalink);
+  document.addEventListener("ienergy-auth:form-restored", restoreAfterSignIn);
 }
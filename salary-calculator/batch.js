@@ -0,0 +1,212 @@
+"use strict";
+
+// Batch payroll run
+// - Reads an uploaded .xlsx/.csv of employees (first sheet, one row per employee)
+// - Runs every row through the same validators and engine as calculate()
+// - Exports a payroll register workbook (per-employee rows + totals)
+
+// Column header candidates (matched case-insensitively, ignoring spaces/punctuation).
+const BATCH_COLUMNS = {
+  code: ["EmployeeCode", "Employee Code", "Code", "EmpCode", "Emp Code"],
+  name: ["Name", "EmployeeName", "Employee Name", "FullName"],
+  basicGross: ["BasicGrossSalary", "Basic Gross Salary", "BasicGross", "Basic Gross"],
+  allowances: ["Allowances", "Allowance"],
+  incentive: ["Incentive", "Incentives"],
+  bonus: ["Bonus"],
+  overtimeHours: ["OvertimeHours", "Overtime Hours", "Overtime", "DayOvertimeHours", "Day Overtime Hours"],
+  nightOvertimeHours: ["NightOvertimeHours", "Night Overtime Hours", "Night Overtime"],
+  restDayHours: ["RestDayHours", "Rest Day Hours", "Rest-Day Hours"],
+  publicHolidayHours: ["PublicHolidayHours", "Public Holiday Hours", "Holiday Hours"],
+  deductionHours: ["DeductionHours", "Deduction Hours"],
+  monthlyHoursDivisor: ["MonthlyHoursDivisor", "Monthly Hours Divisor", "Hours Divisor"],
+  medicalInsurance: ["MedicalInsurance", "Medical Insurance", "Medical"],
+  advanceLoan: ["AdvanceLoan", "Advance Loan", "Advance Salary Loan", "Loan"],
+  insurableBase: ["BasicSocialInsuranceSalary", "InsurableSalaryBase", "Insurable Salary Base", "InsurableBase", "Basic SI Salary"]
+};
+
+// Register columns: [header, breakdown key]. Numeric columns are totalled.
+const REGISTER_COLUMNS = [
+  ["Basic Gross", "basicGross"],
+  ["Allowances", "allowances"],
+  ["Incentive", "incentive"],
+  ["Bonus", "bonus"],
+  ["Overtime Value", "overtimeValueMonthly"],
+  ["Hour Deductions", "hourDeductionValueMonthly"],
+  ["Gross Before Deductions", "grossBeforeDeductionsMonthly"],
+  ["Medical Insurance", "medicalInsurance"],
+  ["Gross After Deductions", "grossAfterMedicalMonthly"],
+  ["Insurable Base", "insurableUsed"],
+  ["Employee SI", "siMonthly"],
+  ["Company SI", "companySiMonthly"],
+  ["Taxable Salary", "taxableMonthly"],
+  ["Salary Tax", "taxMonthly"],
+  ["Martyrs", "martyrsMonthly"],
+  ["Advance Loan", "advanceLoan"],
+  ["Net Salary", "netMonthly"]
+];
+
+let batchResults = [];
+let batchYear = null;
+
+function normHeader(s) {
+  return String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function pickBatchField(row, candidates) {
+  const keys = Object.keys(row || {});
+  for (const c of candidates) {
+    const k = keys.find((k0) => normHeader(k0) === normHeader(c));
+    if (k) return row[k];
+  }
+  return "";
+}
+
+// Export and payslip actions only make sense once a batch has run.
+function setBatchActionsEnabled(on) {
+  ["btnBatchExport", "btnBatchPayslipsPrint", "btnBatchPayslipsPdf"].forEach((id) => {
+    const el = $(id);
+    if (el) el.disabled = !on;
+  });
+}
+
+function setBatchStatus(msg, isError) {
+  const el = $("batchStatus");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("status-error", !!isError);
+}
+
+async function readBatchFile(file) {
+  if (typeof window.__ensureXLSX === "function") await window.__ensureXLSX();
+  if (!window.XLSX) throw new Error("The Excel library could not be loaded. Check your connection and try again.");
+
+  const buf = await file.arrayBuffer();
+  const wb = XLSX.read(buf, { type: "array" });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(ws, { defval: "" });
+}
+
+function runBatchRow(row, index, rules) {
+  const input = {};
+  Object.keys(BATCH_COLUMNS).forEach((k) => {
+    if (k === "code" || k === "name") return;
+    input[k] = parseNumber(pickBatchField(row, BATCH_COLUMNS[k]));
+  });
+
+  const code = String(pickBatchField(row, BATCH_COLUMNS.code)).trim();
+  const name = String(pickBatchField(row, BATCH_COLUMNS.name)).trim();
+
+  // Spreadsheet row number (header is row 1).
+  const out = { rowNumber: index + 2, code, name, input, res: null, errors: [] };
+
+  if (!code) out.errors.push("Employee code is missing.");
+  validatePayrollInput(input, rules, out.errors);
+  if (out.errors.length) return out;
+
+  const res = IEnergyPayroll.computePayroll(input, rules);
+  if (!res.ok) out.errors.push(res.reason);
+  else out.res = res;
+  return out;
+}
+
+function renderBatchTable() {
+  const body = $("batchBody");
+  const wrap = $("batchTableWrap");
+  if (!body || !wrap) return;
+
+  wrap.hidden = !batchResults.length;
+  body.innerHTML = batchResults.map((r) => {
+    const cells = r.res
+      ? [r.res.grossAfterMedicalMonthly, r.res.siMonthly, r.res.taxMonthly, r.res.netMonthly].map((v) => `<td class="num">${fmtNumber(v)}</td>`).join("")
+      : `<td colspan="4" class="row-error">${escapeHtml(r.errors.join(" "))}</td>`;
+    return `<tr class="${r.res ? "" : "invalid"}"><td>${r.rowNumber}</td><td>${escapeHtml(r.code || "—")}</td><td>${escapeHtml(r.name || "—")}</td>${cells}</tr>`;
+  }).join("");
+}
+
+async function runBatch() {
+  const fileInput = $("batchFile");
+  const file = fileInput && fileInput.files && fileInput.files[0];
+
+  batchResults = [];
+  renderBatchTable();
+  setBatchActionsEnabled(false);
+
+  const rules = getActiveRules();
+  if (!rules) {
+    setBatchStatus(RULES_NOT_LOADED_MSG, true);
+    return;
+  }
+  if (!file) {
+    setBatchStatus("Please choose an .xlsx or .csv file first.", true);
+    return;
+  }
+
+  try {
+    setBatchStatus("Reading file...", false);
+    const rows = await readBatchFile(file);
+    if (!rows.length) {
+      setBatchStatus("The file has no employee rows.", true);
+      return;
+    }
+
+    batchYear = rules.year;
+    batchResults = rows.map((row, i) => runBatchRow(row, i, rules));
+    renderBatchTable();
+
+    const invalid = batchResults.filter((r) => !r.res).length;
+    setBatchStatus(
+      `${batchResults.length} row(s) processed for payroll year ${rules.year}` +
+      (invalid ? ` — ${invalid} row(s) flagged and excluded from totals.` : "."),
+      invalid > 0
+    );
+    setBatchActionsEnabled(true);
+  } catch (e) {
+    setBatchStatus(e && e.message ? e.message : "Unable to read the file.", true);
+  }
+}
+
+function buildRegisterRows() {
+  const rows = batchResults.map((r) => {
+    const out = { "Row": r.rowNumber, "Employee Code": r.code, "Name": r.name, "Status": r.res ? "OK" : "Error", "Errors": r.errors.join(" ") };
+    REGISTER_COLUMNS.forEach(([header, key]) => {
+      out[header] = r.res ? Math.round(r.res[key] * 100) / 100 : "";
+    });
+    return out;
+  });
+
+  const totals = { "Row": "", "Employee Code": "TOTAL", "Name": "", "Status": "", "Errors": "" };
+  REGISTER_COLUMNS.forEach(([header, key]) => {
+    const sum = batchResults.reduce((acc, r) => acc + (r.res ? r.res[key] : 0), 0);
+    totals[header] = Math.round(sum * 100) / 100;
+  });
+  // Insurable base is not a pay figure; a total is meaningless.
+  totals["Insurable Base"] = "";
+  rows.push(totals);
+  return rows;
+}
+
+async function exportBatchRegister() {
+  if (!batchResults.length) return;
+  try {
+    if (typeof window.__ensureXLSX === "function") await window.__ensureXLSX();
+    if (!window.XLSX) throw new Error("The Excel library could not be loaded. Check your connection and try again.");
+
+    const ws = XLSX.utils.json_to_sheet(buildRegisterRows());
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, "Payroll Register");
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    XLSX.writeFile(wb, `payroll-register-${batchYear}-${stamp}.xlsx`);
+  } catch (err) {
+    setBatchStatus(err && err.message ? err.message : "Unable to export the payroll register.", true);
+  }
+}
+
+function initBatchBindings() {
+  const btnRun = $("btnBatchRun");
+  const btnExport = $("btnBatchExport");
+  if (btnRun) btnRun.addEventListener("click", runBatch);
+  if (btnExport) btnExport.addEventListener("click", exportBatchRegister);
+}
+
+document.addEventListener("DOMContentLoaded", initBatchBindings);
@@ -0,0 +1,87 @@
+"use strict";
+
+// Employee lookup
+// - Loads an employee's stored salary components (Salary Query workbook, via ../salary-query/employee-data.js)
+//   into the calculator by employee code and calculates straight away
+// - Salary Query's "Open in calculator" links here as #employee=<code>
+// - Salary data needs the salary-calculator:employee-lookup permission: the lookup is shown once a user
+//   holding it is signed in
+
+const EMPLOYEE_HASH_KEY = "employee";
+
+let employeeLookupEnabled = false;
+
+function setEmployeeStatus(msg, isError) {
+  const el = $("employeeStatus");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("status-error", !!isError);
+}
+
+async function loadEmployeeIntoCalculator(code) {
+  const trimmed = String(code || "").trim();
+  if (!trimmed) {
+    setEmployeeStatus("Please enter an employee code.", true);
+    return;
+  }
+  if (!window.IEnergyEmployees) {
+    setEmployeeStatus("Employee data is not available on this page.", true);
+    return;
+  }
+
+  try {
+    setEmployeeStatus("Loading employee data...", false);
+    const [employee] = await Promise.all([IEnergyEmployees.lookupEmployee(trimmed), payrollRulesLoaded]);
+    if (!employee) {
+      setEmployeeStatus(`No employee found for code ${trimmed}.`, true);
+      return;
+    }
+
+    // Components missing from the workbook (and this month's bonus, overtime, loan, ...) start blank.
+    fillCalculatorForm(employee.components, $("payrollYear") ? $("payrollYear").value : null);
+    ["payslipCode", "settlementCode"].forEach((id) => { if ($(id)) $(id).value = employee.code; });
+    ["payslipName", "settlementName"].forEach((id) => { if ($(id)) $(id).value = employee.name; });
+    if ($("settlementHireDate") && /^\d{4}-\d{2}-\d{2}$/.test(employee.hireDate)) $("settlementHireDate").value = employee.hireDate;
+    if ($("employeeCode")) $("employeeCode").value = employee.code;
+
+    calculate();
+    const who = [employee.name, employee.position].filter(Boolean).join(" · ");
+    setEmployeeStatus(`Loaded ${employee.code}${who ? ` — ${who}` : ""}.`, false);
+  } catch (e) {
+    setEmployeeStatus(e && e.message ? e.message : "Unable to load the employee data.", true);
+  }
+}
+
+// #employee=<code> (from Salary Query); other hash keys belong to the permalinks.
+function loadEmployeeFromHash() {
+  if (!employeeLookupEnabled) return;
+  const code = new URLSearchParams(String(location.hash || "").replace(/^#/, "")).get(EMPLOYEE_HASH_KEY);
+  if (code) loadEmployeeIntoCalculator(code);
+}
+
+// Called by ensureAuth once the user is signed in.
+function applyEmployeeLookupAccess(session) {
+  employeeLookupEnabled = !!session && typeof session.can === "function" && session.can("salary-calculator:employee-lookup");
+  const row = $("employeeLookup");
+  if (row) row.hidden = !employeeLookupEnabled;
+  loadEmployeeFromHash();
+}
+
+function initEmployeeBindings() {
+  const btn = $("btnLoadEmployee");
+  if (btn) btn.addEventListener("click", () => loadEmployeeIntoCalculator($("employeeCode").value));
+
+  const input = $("employeeCode");
+  if (input) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        loadEmployeeIntoCalculator(input.value);
+      }
+    });
+  }
+
+  window.addEventListener("hashchange", loadEmployeeFromHash);
+}
+
+document.addEventListener("DOMContentLoaded", initEmployeeBindings);
@@ -0,0 +1,306 @@
+"use strict";
+
+// Calculation history
+// - Records every successful calculate() and solver run ("payroll:run" events from app.js) in IndexedDB
+// - Searchable list; one click puts the inputs back into the form and re-runs them
+// - Exports the (filtered) history to CSV or XLSX for audit
+// - Runs belong to the signed-in user: each one is tagged with IEnergyAuth.getUser(), the panel only
+//   shows the current user's runs, and a user's runs are deleted when they sign out
+
+const HISTORY_DB_NAME = "ienergy_salary_history";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "runs";
+// Rows shown in the panel; search and export always cover the whole history.
+const HISTORY_VISIBLE_ROWS = 200;
+
+const HISTORY_KIND_LABELS = {
+  "calculate": "Calculator",
+  "solve-net": "Net → gross",
+  "solve-budget": "Budget → gross"
+};
+
+// Key outputs kept with every run: [column header, breakdown key].
+const HISTORY_OUTPUTS = [
+  ["Basic Gross", "basicGross"],
+  ["Gross", "grossMonthly"],
+  ["Employee SI", "siMonthly"],
+  ["Company SI", "companySiMonthly"],
+  ["Salary Tax", "taxMonthly"],
+  ["Net Salary", "netMonthly"],
+  ["Employer Cost", "employerCostMonthly"]
+];
+
+let historyDbPromise = null;
+let historyEntries = [];
+
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+  historyDbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("Calculation history is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        db.createObjectStore(HISTORY_STORE, { keyPath: "id", autoIncrement: true });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error("Unable to open the calculation history."));
+  });
+  // Let a later call try again after a failure.
+  historyDbPromise.catch(() => { historyDbPromise = null; });
+  return historyDbPromise;
+}
+
+async function historyTransaction(mode, fn) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, mode);
+    const result = fn(tx.objectStore(HISTORY_STORE));
+    tx.oncomplete = () => resolve(result && "result" in result ? result.result : undefined);
+    tx.onerror = () => reject(tx.error || new Error("Calculation history could not be updated."));
+  });
+}
+
+function setHistoryStatus(msg, isError) {
+  const el = $("historyStatus");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("status-error", !!isError);
+}
+
+function historyUser() {
+  return window.IEnergyAuth ? IEnergyAuth.getUser() : "";
+}
+
+function historyEntryFromRun(detail) {
+  const outputs = {};
+  HISTORY_OUTPUTS.forEach(([, key]) => { outputs[key] = detail.res[key]; });
+  return {
+    user: historyUser(),
+    timestamp: new Date().toISOString(),
+    kind: detail.kind,
+    year: detail.res.year,
+    rulesVersion: payrollRulesVersion,
+    fields: detail.fields,
+    outputs
+  };
+}
+
+function sameRun(a, b) {
+  return !!a && !!b && a.kind === b.kind && JSON.stringify(a.fields) === JSON.stringify(b.fields);
+}
+
+async function recordRun(e) {
+  const entry = historyEntryFromRun(e.detail);
+  if (!entry.user) return;
+  // Pressing Calculate again on unchanged inputs does not add a new row.
+  if (sameRun(historyEntries[0], entry)) return;
+  try {
+    entry.id = await historyTransaction("readwrite", (store) => store.add(entry));
+    historyEntries.unshift(entry);
+    renderHistory();
+  } catch (err) {
+    setHistoryStatus(err && err.message ? err.message : "Unable to save this run to the history.", true);
+  }
+}
+
+// Deletes the runs of users who signed out, and runs saved before runs had an owner.
+async function purgeSignedOutRuns() {
+  const signedOut = window.IEnergyAuth ? IEnergyAuth.getSignedOutUsers() : [];
+  await historyTransaction("readwrite", (store) => {
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (!cursor.value.user || signedOut.includes(cursor.value.user)) cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+// Called once a user is signed in (again when another user takes over the page).
+async function loadHistory() {
+  const user = historyUser();
+  try {
+    await purgeSignedOutRuns();
+    const all = await historyTransaction("readonly", (store) => store.getAll());
+    historyEntries = (all || []).filter((entry) => entry.user === user).sort((a, b) => b.id - a.id);
+    renderHistory();
+  } catch (err) {
+    setHistoryStatus(err && err.message ? err.message : "Unable to load the calculation history.", true);
+  }
+}
+
+// Inputs in a readable one-liner, e.g. "basicGross 12,000 · insurableBase 9,000".
+function historyInputsText(entry) {
+  return Object.keys(entry.fields)
+    .filter((id) => id !== "payrollYear")
+    .map((id) => {
+      const n = Number(entry.fields[id]);
+      return `${id} ${Number.isFinite(n) ? fmtNumber(n) : entry.fields[id]}`;
+    })
+    .join(" · ");
+}
+
+function fmtHistoryTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? String(iso) : d.toLocaleString("en-GB");
+}
+
+// Every word of the query must appear somewhere in the row (type, year, time, inputs or outputs).
+function filteredHistory() {
+  const q = String(($("historySearch") && $("historySearch").value) || "").trim().toLowerCase();
+  if (!q) return historyEntries;
+  const words = q.split(/\s+/);
+  return historyEntries.filter((entry) => {
+    const haystack = [
+      HISTORY_KIND_LABELS[entry.kind] || entry.kind,
+      entry.year,
+      entry.rulesVersion,
+      fmtHistoryTime(entry.timestamp),
+      entry.timestamp,
+      historyInputsText(entry),
+      ...Object.values(entry.fields),
+      ...HISTORY_OUTPUTS.map(([, key]) => fmtNumber(entry.outputs[key]))
+    ].join(" ").toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+}
+
+function renderHistory() {
+  const rows = filteredHistory();
+  const body = $("historyBody");
+  const wrap = $("historyTableWrap");
+  ["btnHistoryCsv", "btnHistoryXlsx", "btnHistoryClear"].forEach((id) => {
+    const el = $(id);
+    if (el) el.disabled = !historyEntries.length;
+  });
+  if (!body || !wrap) return;
+
+  wrap.hidden = !historyEntries.length;
+  body.innerHTML = rows.slice(0, HISTORY_VISIBLE_ROWS).map((entry) => `
+    <tr>
+      <td>${escapeHtml(fmtHistoryTime(entry.timestamp))}</td>
+      <td>${escapeHtml(HISTORY_KIND_LABELS[entry.kind] || entry.kind)}</td>
+      <td>${entry.year}</td>
+      <td class="history-inputs">${escapeHtml(historyInputsText(entry))}</td>
+      <td class="num">${fmtNumber(entry.outputs.basicGross)}</td>
+      <td class="num">${fmtNumber(entry.outputs.netMonthly)}</td>
+      <td class="num">${fmtNumber(entry.outputs.employerCostMonthly)}</td>
+      <td><button type="button" class="link" data-history-id="${entry.id}">Restore</button></td>
+    </tr>`).join("");
+
+  if (!historyEntries.length) setHistoryStatus("No calculations recorded yet.", false);
+  else if (rows.length > HISTORY_VISIBLE_ROWS) setHistoryStatus(`Showing the latest ${HISTORY_VISIBLE_ROWS} of ${rows.length} matching runs; the export includes all of them.`, false);
+  else setHistoryStatus(`${rows.length} of ${historyEntries.length} run(s).`, false);
+}
+
+function restoreHistoryEntry(entry) {
+  const ids = ["payrollYear", ...(entry.kind === "calculate" ? CALCULATOR_FIELDS : SOLVER_FIELDS)];
+  const year = Number(entry.fields.payrollYear);
+  if (!payrollYears.includes(year)) {
+    setHistoryStatus(`Payroll year ${entry.fields.payrollYear} is no longer in payroll-rules.json; the run cannot be restored.`, true);
+    return;
+  }
+
+  writeFormFields(entry.fields, ids);
+  applyPayrollYearToUI();
+  if (entry.kind === "calculate") {
+    calculate();
+    try { $("basicGross").scrollIntoView({ behavior: "smooth", block: "center" }); } catch (_) {}
+  } else {
+    applySolveMode();
+    solveBasicGrossSection();
+    try { $("solveMode").scrollIntoView({ behavior: "smooth", block: "center" }); } catch (_) {}
+  }
+}
+
+function onHistoryClick(e) {
+  const btn = e.target.closest("button[data-history-id]");
+  if (!btn) return;
+  const entry = historyEntries.find((x) => String(x.id) === btn.getAttribute("data-history-id"));
+  if (entry) restoreHistoryEntry(entry);
+}
+
+function buildHistoryRows(entries) {
+  return entries.map((entry) => {
+    const row = {
+      "Timestamp": entry.timestamp,
+      "Type": HISTORY_KIND_LABELS[entry.kind] || entry.kind,
+      "Payroll Year": entry.year,
+      "Rules Version": entry.rulesVersion
+    };
+    HISTORY_OUTPUTS.forEach(([header, key]) => {
+      row[header] = Math.round(entry.outputs[key] * 100) / 100;
+    });
+    row["Inputs"] = historyInputsText(entry);
+    return row;
+  });
+}
+
+async function exportHistory(bookType) {
+  const entries = filteredHistory();
+  if (!entries.length) {
+    setHistoryStatus("There are no runs to export.", true);
+    return;
+  }
+  try {
+    if (typeof window.__ensureXLSX === "function") await window.__ensureXLSX();
+    if (!window.XLSX) throw new Error("The Excel library could not be loaded. Check your connection and try again.");
+
+    const ws = XLSX.utils.json_to_sheet(buildHistoryRows(entries));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, "Calculation History");
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    XLSX.writeFile(wb, `salary-calculation-history-${stamp}.${bookType}`, { bookType });
+  } catch (err) {
+    setHistoryStatus(err && err.message ? err.message : "Unable to export the history.", true);
+  }
+}
+
+async function clearHistory() {
+  if (!historyEntries.length) return;
+  if (!window.confirm("Delete your whole calculation history from this browser?")) return;
+  const ids = historyEntries.map((entry) => entry.id);
+  try {
+    await historyTransaction("readwrite", (store) => ids.forEach((id) => store.delete(id)));
+    historyEntries = [];
+    renderHistory();
+  } catch (err) {
+    setHistoryStatus(err && err.message ? err.message : "Unable to clear the history.", true);
+  }
+}
+
+function initHistoryBindings() {
+  document.addEventListener("payroll:run", recordRun);
+
+  const bind = (id, fn) => {
+    const el = $(id);
+    if (el) el.addEventListener("click", fn);
+  };
+  bind("btnHistoryCsv", () => exportHistory("csv"));
+  bind("btnHistoryXlsx", () => exportHistory("xlsx"));
+  bind("btnHistoryClear", clearHistory);
+  bind("historyTableWrap", onHistoryClick);
+
+  const search = $("historySearch");
+  if (search) search.addEventListener("input", renderHistory);
+
+  // The panel empties as soon as the page is signed out; the runs themselves go unless it merely timed out.
+  document.addEventListener("ienergy-auth:signed-out", (e) => {
+    historyEntries = [];
+    renderHistory();
+    if (e.detail && e.detail.reason !== "expired") {
+      purgeSignedOutRuns().catch((err) => {
+        setHistoryStatus(err && err.message ? err.message : "Unable to clear the calculation history.", true);
+      });
+    }
+  });
+}
+
+document.addEventListener("DOMContentLoaded", initHistoryBindings);
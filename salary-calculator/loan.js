@@ -0,0 +1,187 @@
+"use strict";
+
+// Advance loan schedule
+// - Principal, first month and either a number of instalments or a percentage of net
+// - Each instalment is checked against the net pay of the calculator's regular package so the take-home
+//   never drops below the floor (payroll-rules.json loan.netFloor unless overridden); the rest is carried
+// - Feeds the instalment due in the pay period into the calculator, or every month's instalment into the
+//   monthly payroll grid
+
+let lastLoanSchedule = null;
+
+function setLoanStatus(msg, isError) {
+  const el = $("loanStatus");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("status-error", !!isError);
+}
+
+function getLoanMode() {
+  const el = $("loanMode");
+  return el && el.value === "percentOfNet" ? "percentOfNet" : "instalments";
+}
+
+function applyLoanMode() {
+  const mode = getLoanMode();
+  document.querySelectorAll("[data-loan-mode]").forEach((el) => {
+    el.hidden = el.getAttribute("data-loan-mode") !== mode;
+  });
+  clearLoanSchedule();
+}
+
+function clearLoanSchedule() {
+  lastLoanSchedule = null;
+  const wrap = $("loanTableWrap");
+  if (wrap) wrap.hidden = true;
+  ["btnLoanApply", "btnLoanFillYtd"].forEach((id) => {
+    const el = $(id);
+    if (el) el.disabled = true;
+  });
+  setLoanStatus("", false);
+}
+
+function buildLoanScheduleFromForm() {
+  const errs = [];
+  const rules = getActiveRules();
+  if (!rules) {
+    clearLoanSchedule();
+    showErrorsIn("errorsLoan", [RULES_NOT_LOADED_MSG]);
+    return;
+  }
+
+  const base = readBasePackage();
+  IEnergyPayroll.MONTH_FIELDS.forEach((k) => { base[k] = 0; });
+  validatePayrollInput(base, rules, errs);
+
+  const mode = getLoanMode();
+  const principal = parseNumber($("loanPrincipal").value);
+  const startMonth = String($("loanStartMonth").value || "").trim();
+  const instalments = parseNumber($("loanInstalments").value);
+  const percentOfNet = parseNumber($("loanPercentOfNet").value);
+  const floorRaw = String($("loanNetFloor").value || "").trim();
+  const netFloor = floorRaw === "" ? null : parseNumber(floorRaw);
+
+  if (!Number.isFinite(principal) || principal <= 0) errs.push("Loan principal must be more than 0.");
+  if (!startMonth) errs.push("Please choose the first instalment month.");
+  if (mode === "instalments" && (!Number.isInteger(instalments) || instalments < 1)) {
+    errs.push("Number of instalments must be a whole number of at least 1.");
+  }
+  if (mode === "percentOfNet" && (!Number.isFinite(percentOfNet) || percentOfNet <= 0 || percentOfNet > 100)) {
+    errs.push("Maximum instalment must be between 0 and 100% of net.");
+  }
+  if (netFloor != null) validateNonNegative("Minimum take-home pay", netFloor, errs);
+
+  if (errs.length) {
+    clearLoanSchedule();
+    showErrorsIn("errorsLoan", errs);
+    return;
+  }
+
+  const schedule = IEnergyPayroll.buildLoanSchedule(
+    { principal, startMonth, mode, instalments, percentOfNet, netFloor },
+    base,
+    payrollRules
+  );
+  if (!schedule.ok) {
+    clearLoanSchedule();
+    showErrorsIn("errorsLoan", [schedule.reason]);
+    return;
+  }
+
+  showErrorsIn("errorsLoan", []);
+  lastLoanSchedule = schedule;
+  renderLoanSchedule(schedule);
+}
+
+function renderLoanSchedule(schedule) {
+  const body = $("loanBody");
+  if (body) {
+    body.innerHTML = schedule.rows.map((r) => `
+    <tr>
+      <td>${escapeHtml(fmtPayPeriod(r.period))}</td>
+      <td class="num">${fmtNumber(r.opening)}</td>
+      <td class="num">${fmtNumber(r.instalment)}</td>
+      <td class="num">${fmtNumber(r.closing)}</td>
+      <td class="num">${fmtNumber(r.netBeforeLoan)}</td>
+      <td class="num">${fmtNumber(r.takeHome)}</td>
+      <td>${r.capped ? escapeHtml(`Reduced from ${fmtNumber(r.planned)} to keep ${fmtNumber(r.netFloor)} take-home`) : ""}</td>
+    </tr>`).join("") + `
+    <tr class="total-row">
+      <td>${schedule.months} month(s)</td><td></td>
+      <td class="num">${fmtNumber(schedule.totalRepaid)}</td>
+      <td colspan="4"></td>
+    </tr>`;
+  }
+
+  const wrap = $("loanTableWrap");
+  if (wrap) wrap.hidden = false;
+  ["btnLoanApply", "btnLoanFillYtd"].forEach((id) => {
+    const el = $(id);
+    if (el) el.disabled = false;
+  });
+
+  const last = schedule.rows[schedule.rows.length - 1];
+  setLoanStatus(schedule.cappedMonths
+    ? `${schedule.cappedMonths} instalment(s) were reduced to protect the minimum take-home pay; the loan is repaid in ${fmtPayPeriod(last.period)}.`
+    : `The loan is repaid in ${fmtPayPeriod(last.period)}.`, false);
+}
+
+// The instalment due in the payslip pay period becomes the calculator's advance loan deduction.
+function applyLoanInstalment() {
+  if (!lastLoanSchedule) return;
+  const period = ($("payslipPeriod") && $("payslipPeriod").value) || currentPayPeriod();
+  const instalment = IEnergyPayroll.loanInstalmentFor(lastLoanSchedule, period);
+  $("advanceLoan").value = instalment ? fmtNumber(instalment, 2) : "";
+  calculate();
+  setLoanStatus(instalment
+    ? `${fmtPayPeriod(period)} instalment of ${fmtEGP(instalment)} put into the calculator.`
+    : `No instalment is due in ${fmtPayPeriod(period)}; the calculator's advance loan was cleared.`, false);
+}
+
+// Every month of the selected payroll year gets its instalment in the monthly payroll grid.
+function fillYtdLoans() {
+  const rules = getActiveRules();
+  if (!lastLoanSchedule || !rules) return;
+  let filled = 0;
+  YTD_MONTH_NAMES.forEach((_, i) => {
+    const el = ytdCell("advanceLoan", i);
+    if (!el) return;
+    const instalment = IEnergyPayroll.loanInstalmentFor(lastLoanSchedule, `${rules.year}-${String(i + 1).padStart(2, "0")}`);
+    el.value = instalment ? fmtNumber(instalment, 2) : "";
+    if (instalment) filled += 1;
+  });
+  clearYtdResults();
+  setLoanStatus(`${filled} instalment(s) of ${rules.year} put into the Monthly Payroll grid.`, false);
+}
+
+function initLoanBindings() {
+  const bind = (id, fn) => {
+    const el = $(id);
+    if (el) el.addEventListener("click", fn);
+  };
+  bind("btnLoanBuild", buildLoanScheduleFromForm);
+  bind("btnLoanApply", applyLoanInstalment);
+  bind("btnLoanFillYtd", fillYtdLoans);
+
+  const mode = $("loanMode");
+  if (mode) mode.addEventListener("change", applyLoanMode);
+
+  const start = $("loanStartMonth");
+  if (start && !start.value) start.value = currentPayPeriod();
+
+  ["loanPrincipal", "loanNetFloor"].forEach((id) => {
+    const el = $(id);
+    if (el) el.addEventListener("blur", () => formatInputThousands(id, 2));
+  });
+
+  // Show the configured floor once the rules are in.
+  if (payrollRulesLoaded) {
+    payrollRulesLoaded.then(() => {
+      const rules = getActiveRules();
+      const floor = $("loanNetFloor");
+      if (rules && floor) floor.placeholder = `${fmtNumber(rules.loan.netFloor)} (default)`;
+    });
+  }
+}
+
+document.addEventListener("DOMContentLoaded", initLoanBindings);
@@ -0,0 +1,1032 @@
+/* IEnergy Payroll Engine (pure, DOM-free)
+   - One gross -> medical -> SI -> tax -> martyrs -> net pipeline shared by the forward
+     calculator, the net-to-gross solver and batch tools
+   - Twelve-month payroll with cumulative year-to-date tax withholding
+   - Multi-year raise projection using each payroll year's rules
+   - Final (end-of-service) settlement with the year's tax trued up through calcAnnualTaxEG
+   - Advance loan repayment schedules that keep take-home pay above a floor
+   - Exact net -> basic gross and employer budget -> basic gross solvers
+   - Rule sets come from payroll-rules.json (see buildRuleSets)
+   - Browser: exposed as window.IEnergyPayroll; Node: module.exports (used by the test suite)
+*/
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.IEnergyPayroll = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const NEGATIVE_GROSS_MSG = 'Gross after deductions became negative. Please review hour deductions and medical insurance.';
+
+  // -----------------------------
+  // Rules document
+  // -----------------------------
+  function schemaTypeOf(v) {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+    return typeof v;
+  }
+
+  function schemaTypeMatches(v, type) {
+    const actual = schemaTypeOf(v);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  /**
+   * Minimal JSON Schema validator covering the keywords used by payroll-rules.schema.json
+   * ($ref to #/$defs, type, required, properties, patternProperties, additionalProperties,
+   * minProperties, items, minItems, minimum, maximum, exclusiveMinimum, minLength).
+   */
+  function validateAgainstSchema(value, schema, root, path, errs) {
+    if (schema.$ref) {
+      const name = schema.$ref.replace(/^#\/\$defs\//, '');
+      return validateAgainstSchema(value, root.$defs[name], root, path, errs);
+    }
+
+    const where = path || '(root)';
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some((t) => schemaTypeMatches(value, t))) {
+        errs.push(`${where} must be ${types.join(' or ')}.`);
+        return;
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum != null && value < schema.minimum) errs.push(`${where} must be at least ${schema.minimum}.`);
+      if (schema.maximum != null && value > schema.maximum) errs.push(`${where} must be at most ${schema.maximum}.`);
+      if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) errs.push(`${where} must be greater than ${schema.exclusiveMinimum}.`);
+    }
+
+    if (typeof value === 'string' && schema.minLength != null && value.length < schema.minLength) {
+      errs.push(`${where} must not be empty.`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems != null && value.length < schema.minItems) errs.push(`${where} must have at least ${schema.minItems} item(s).`);
+      if (schema.items) value.forEach((item, i) => validateAgainstSchema(item, schema.items, root, `${where}[${i}]`, errs));
+    }
+
+    if (schemaTypeOf(value) === 'object') {
+      const keys = Object.keys(value);
+      const props = schema.properties || {};
+      const patterns = schema.patternProperties || {};
+
+      (schema.required || []).forEach((k) => {
+        if (!(k in value)) errs.push(`${path ? path + '.' : ''}${k} is required.`);
+      });
+      if (schema.minProperties != null && keys.length < schema.minProperties) {
+        errs.push(`${where} must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}.`);
+      }
+
+      keys.forEach((k) => {
+        const childPath = path ? `${path}.${k}` : k;
+        if (props[k]) {
+          validateAgainstSchema(value[k], props[k], root, childPath, errs);
+          return;
+        }
+        const pattern = Object.keys(patterns).find((re) => new RegExp(re).test(k));
+        if (pattern) {
+          validateAgainstSchema(value[k], patterns[pattern], root, childPath, errs);
+          return;
+        }
+        if (schema.additionalProperties === false) errs.push(`${childPath} is not a recognised setting.`);
+      });
+    }
+  }
+
+  // Cross-field checks the schema cannot express.
+  function checkRulesConsistency(doc, errs) {
+    Object.keys(doc.years).forEach((y) => {
+      const rs = doc.years[y];
+      const where = `years.${y}`;
+
+      if (rs.insurableCaps.min > rs.insurableCaps.max) errs.push(`${where}.insurableCaps.min must not exceed max.`);
+
+      rs.taxBrackets.forEach((b, i) => {
+        const last = i === rs.taxBrackets.length - 1;
+        if (last && b.upTo !== null) errs.push(`${where}.taxBrackets: the last bracket must have "upTo": null.`);
+        if (!last && b.upTo === null) errs.push(`${where}.taxBrackets[${i}]: only the last bracket may have "upTo": null.`);
+        if (i > 0 && b.upTo !== null && rs.taxBrackets[i - 1].upTo !== null && b.upTo <= rs.taxBrackets[i - 1].upTo) {
+          errs.push(`${where}.taxBrackets must be in ascending "upTo" order.`);
+        }
+      });
+
+      rs.reliefRemoval.forEach((rr, i) => {
+        if (rr.fromBand >= rs.taxBrackets.length) errs.push(`${where}.reliefRemoval[${i}].fromBand does not match a tax bracket.`);
+        if (i > 0 && rr.above <= rs.reliefRemoval[i - 1].above) errs.push(`${where}.reliefRemoval must be in ascending "above" order.`);
+      });
+    });
+  }
+
+  // Returns a list of messages (empty when the document is usable).
+  function validateRulesDocument(doc, schema) {
+    const errs = [];
+    validateAgainstSchema(doc, schema, schema, '', errs);
+    if (!errs.length) checkRulesConsistency(doc, errs);
+    return errs;
+  }
+
+  function buildRuleSet(doc, year) {
+    const rs = doc.years[year];
+    return {
+      year: Number(year),
+      overtimeMultipliers: doc.overtimeMultipliers,
+      monthlyHoursDivisor: doc.monthlyHoursDivisor,
+      martyrsRate: doc.martyrsRate,
+      minBasicGross: doc.minBasicGross,
+      settlement: doc.settlement,
+      loan: doc.loan,
+      // The company minimum is also the floor for the insurable base whenever the statutory minimum is lower.
+      insurableBaseMin: Math.max(rs.insurableCaps.min, doc.minBasicGross),
+      insurableBaseMax: rs.insurableCaps.max,
+      employeeSiRatePct: rs.employeeSiRatePct,
+      companySiRatePct: rs.companySiRatePct,
+      personalExemptionAnnual: rs.personalExemptionAnnual,
+      taxBrackets: rs.taxBrackets,
+      reliefRemoval: rs.reliefRemoval
+    };
+  }
+
+  // Rule sets keyed by payroll year. The document must already be validated.
+  function buildRuleSets(doc) {
+    return Object.keys(doc.years).reduce((acc, y) => {
+      acc[y] = buildRuleSet(doc, y);
+      return acc;
+    }, {});
+  }
+
+  // -----------------------------
+  // Tax
+  // -----------------------------
+
+  /**
+   * Annual progressive tax, slice by slice.
+   * Returns { tax, slices, reliefRemovedBands, marginalRate, effectiveRate } where each slice is
+   * { band, from, to, rate, taxed, tax, removed }: one per bracket, in bracket order. Brackets whose
+   * relief was removed are kept with removed: true and nothing taxed; the first remaining bracket
+   * then starts at 0.
+   */
+  function calcAnnualTaxBreakdownEG(annualTaxableIncome, rules) {
+    // Annual progressive salary tax, driven by the rule set of the selected payroll year.
+    // The 2024+ brackets (annual taxable):
+    // - 0% up to 40,000
+    // - 10% 40,001–55,000
+    // - 15% 55,001–70,000
+    // - 20% 70,001–200,000
+    // - 22.5% 200,001–400,000
+    // - 25% 400,001–1,200,000
+    // - 27.5% above 1,200,000
+    //
+    // For higher income bands (above 600k/700k/800k/900k/1.2M), Egyptian payroll practice
+    // removes the lower-band reliefs one by one (see "reliefRemoval" in payroll-rules.json) so results
+    // match common payroll calculators.
+    const I = Math.max(0, Number(annualTaxableIncome) || 0);
+
+    let fromBand = 0;
+    rules.reliefRemoval.forEach((rr) => {
+      if (I > rr.above) fromBand = Math.max(fromBand, rr.fromBand);
+    });
+
+    let tax = 0;
+    let prevUpper = 0;
+    let marginalRate = 0;
+    const slices = rules.taxBrackets.map((b, i) => {
+      const upper = b.upTo == null ? Infinity : b.upTo;
+      const removed = i < fromBand;
+      const start = (i === fromBand) ? 0 : prevUpper;
+      const taxed = (!removed && I > start) ? Math.min(I, upper) - start : 0;
+      if (taxed > 0) marginalRate = b.rate;
+      tax += taxed * b.rate;
+      const slice = { band: i, from: start, to: b.upTo, rate: b.rate, taxed, tax: taxed * b.rate, removed };
+      prevUpper = upper;
+      return slice;
+    });
+
+    return {
+      tax,
+      slices,
+      reliefRemovedBands: fromBand,
+      marginalRate,
+      effectiveRate: I > 0 ? tax / I : 0
+    };
+  }
+
+  /**
+   * Annual progressive tax (Egypt-style bracket structure); see calcAnnualTaxBreakdownEG.
+   * IMPORTANT: This is a template; validate against your payroll rules.
+   */
+  function calcAnnualTaxEG(annualTaxableIncome, rules) {
+    return calcAnnualTaxBreakdownEG(annualTaxableIncome, rules).tax;
+  }
+
+  // -----------------------------
+  // Pipeline
+  // -----------------------------
+  function num(v) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : 0;
+  }
+
+  // Overtime categories: input field with the hours, multiplier key in rules.overtimeMultipliers.
+  // Day overtime keeps the original "overtimeHours" field so older inputs stay valid.
+  const OVERTIME_CATEGORIES = [
+    { key: 'day', field: 'overtimeHours', label: 'Day overtime' },
+    { key: 'night', field: 'nightOvertimeHours', label: 'Night overtime' },
+    { key: 'restDay', field: 'restDayHours', label: 'Rest-day work' },
+    { key: 'publicHoliday', field: 'publicHolidayHours', label: 'Public-holiday work' }
+  ];
+
+  // Monthly hours divisor: the input may override the rules default (blank/0 = default).
+  function hoursDivisor(input, rules) {
+    const d = num(input.monthlyHoursDivisor);
+    return d > 0 ? d : rules.monthlyHoursDivisor;
+  }
+
+  // Weighted overtime hours (hours × category multiplier), in basic-hour equivalents.
+  function weightedOvertimeHours(input, rules) {
+    return OVERTIME_CATEGORIES.reduce((acc, c) => acc + num(input[c.field]) * rules.overtimeMultipliers[c.key], 0);
+  }
+
+  // Gross earnings move by this factor per pound of basic gross (overtime adds, deduction hours subtract).
+  function basicGrossFactor(input, rules) {
+    return 1 + (weightedOvertimeHours(input, rules) - num(input.deductionHours)) / hoursDivisor(input, rules);
+  }
+
+  /**
+   * Full monthly payroll for one employee.
+   * input: { basicGross, allowances, incentive, bonus, overtimeHours, nightOvertimeHours, restDayHours,
+   *          publicHolidayHours, deductionHours, medicalInsurance, advanceLoan, insurableBase,
+   *          companyMedicalInsurance, monthlyHoursDivisor }
+   *        (missing values count as 0; companyMedicalInsurance is company-paid and only affects employer cost;
+   *         monthlyHoursDivisor falls back to the rules default)
+   * Returns { ok: false, reason } or { ok: true, ...breakdown }. Inputs are not range-checked here;
+   * callers apply the form validators first.
+   */
+  function computePayroll(input, rules) {
+    const basicGross = num(input.basicGross);
+    const allowances = num(input.allowances);
+    const incentive = num(input.incentive);
+    const bonus = num(input.bonus);
+    const overtimeHours = num(input.overtimeHours);
+    const deductionHours = num(input.deductionHours);
+    const medicalInsurance = num(input.medicalInsurance);
+    const advanceLoan = num(input.advanceLoan);
+    const insurableBase = num(input.insurableBase);
+    const companyMedicalMonthly = num(input.companyMedicalInsurance);
+
+    const monthlyHoursDivisor = hoursDivisor(input, rules);
+    const hourlyRate = basicGross / monthlyHoursDivisor;
+    const overtime = OVERTIME_CATEGORIES.map((c) => {
+      const hours = num(input[c.field]);
+      const multiplier = rules.overtimeMultipliers[c.key];
+      return { key: c.key, field: c.field, label: c.label, hours, multiplier, value: hours * hourlyRate * multiplier };
+    });
+    const overtimeValueMonthly = overtime.reduce((acc, o) => acc + o.value, 0);
+    const hourDeductionValueMonthly = deductionHours * hourlyRate;
+
+    // Gross before deductions (monthly): basic gross salary + allowances + incentive + bonus + overtime
+    // Requirement: exclude deductions (hour deductions, medical, SI, tax, etc.).
+    const grossBeforeDeductionsMonthly = basicGross + allowances + incentive + bonus + overtimeValueMonthly;
+
+    // Gross before medical (gross earnings)
+    const grossMonthly = grossBeforeDeductionsMonthly - hourDeductionValueMonthly;
+
+    // Deduct medical BEFORE tax & martyrs base
+    const grossAfterMedicalMonthly = grossMonthly - medicalInsurance;
+
+    if (grossAfterMedicalMonthly < 0) {
+      return { ok: false, reason: NEGATIVE_GROSS_MSG };
+    }
+
+    const insurableUsed = insurableBase;
+    const siMonthly = insurableUsed * (rules.employeeSiRatePct / 100.0);
+    const companySiMonthly = insurableUsed * (rules.companySiRatePct / 100.0);
+
+    // Taxable salary: gross after deductions minus employee SI share
+    const taxableMonthly = grossAfterMedicalMonthly - siMonthly;
+
+    // Martyrs deduction based on gross AFTER medical
+    const martyrsMonthly = grossAfterMedicalMonthly * rules.martyrsRate;
+
+    const grossAnnual = grossMonthly * 12;
+    const grossAfterMedicalAnnual = grossAfterMedicalMonthly * 12;
+
+    const siAnnual = siMonthly * 12;
+    const companySiAnnual = companySiMonthly * 12;
+
+    const medicalAnnual = medicalInsurance * 12;
+    const martyrsAnnual = martyrsMonthly * 12;
+    const advanceAnnual = advanceLoan * 12;
+
+    // Taxable income: Gross after deductions (annual) minus employee SI (annual) minus personal exemption.
+    const taxableAnnual = Math.max(0, (grossAfterMedicalAnnual - siAnnual - rules.personalExemptionAnnual));
+    const taxBreakdown = calcAnnualTaxBreakdownEG(taxableAnnual, rules);
+    const taxAnnual = Number.isFinite(taxBreakdown.tax) ? taxBreakdown.tax : 0;
+    const taxMonthly = taxAnnual / 12;
+
+    // Net pay is calculated AFTER tax and martyrs; advance loan is a final net-pay deduction.
+    const netBeforeLoan = grossMonthly - medicalInsurance - siMonthly - taxMonthly - martyrsMonthly;
+    const netMonthly = netBeforeLoan - advanceLoan;
+
+    // Total cost to company: gross earnings + employer SI + company-paid medical.
+    const employerCostMonthly = grossMonthly + companySiMonthly + companyMedicalMonthly;
+
+    return {
+      ok: true,
+      year: rules.year,
+      basicGross,
+      allowances,
+      incentive,
+      bonus,
+      overtimeHours,
+      nightOvertimeHours: num(input.nightOvertimeHours),
+      restDayHours: num(input.restDayHours),
+      publicHolidayHours: num(input.publicHolidayHours),
+      monthlyHoursDivisor,
+      overtime,
+      deductionHours,
+      medicalInsurance,
+      advanceLoan,
+      insurableBase,
+      hourlyRate,
+      overtimeValueMonthly,
+      hourDeductionValueMonthly,
+      grossBeforeDeductionsMonthly,
+      grossMonthly,
+      grossAfterMedicalMonthly,
+      insurableUsed,
+      siMonthly,
+      companySiMonthly,
+      taxableMonthly,
+      martyrsMonthly,
+      taxMonthly,
+      netBeforeLoan,
+      netMonthly,
+      companyMedicalMonthly,
+      employerCostMonthly,
+      employerCostAnnual: employerCostMonthly * 12,
+      grossAnnual,
+      grossAfterMedicalAnnual,
+      siAnnual,
+      companySiAnnual,
+      medicalAnnual,
+      martyrsAnnual,
+      advanceAnnual,
+      taxableAnnual,
+      taxAnnual,
+      taxSlices: taxBreakdown.slices,
+      reliefRemovedBands: taxBreakdown.reliefRemovedBands,
+      marginalTaxRate: taxBreakdown.marginalRate,
+      effectiveTaxRate: taxBreakdown.effectiveRate
+    };
+  }
+
+  // -----------------------------
+  // Twelve-month payroll (cumulative YTD tax)
+  // -----------------------------
+  const MONTH_FIELDS = [
+    'bonus', 'overtimeHours', 'nightOvertimeHours', 'restDayHours', 'publicHolidayHours', 'deductionHours', 'advanceLoan'
+  ];
+
+  /**
+   * Payroll for a full year where bonus, overtime (all categories), deduction hours and loan vary by month.
+   * base: computePayroll input for the fixed components; months: 12 objects with the MONTH_FIELDS.
+   * Month m withholds tax on the cumulative year-to-date basis:
+   *   annualTax(YTD taxable × 12 / m − exemption) × m / 12 − tax already withheld,
+   * so the final month trues the year up to calcAnnualTaxEG on the actual annual income.
+   * Negative withholding (a refund) is possible when a month follows a large one-off payment.
+   * Returns { ok: false, month, reason } or { ok: true, months: [...], reconciliation }.
+   */
+  function computePayrollYear(base, months, rules) {
+    if (!Array.isArray(months) || months.length !== 12) {
+      return { ok: false, month: 0, reason: 'A payroll year needs exactly 12 months.' };
+    }
+
+    const rows = [];
+    let ytdTaxable = 0;
+    let ytdTax = 0;
+    let flatTaxTotal = 0;
+
+    for (let i = 0; i < 12; i++) {
+      const m = i + 1;
+      const input = Object.assign({}, base);
+      MONTH_FIELDS.forEach((k) => { input[k] = num(months[i] && months[i][k]); });
+
+      const r = computePayroll(input, rules);
+      if (!r.ok) return { ok: false, month: m, reason: r.reason };
+
+      const taxableMonthly = r.grossAfterMedicalMonthly - r.siMonthly;
+      ytdTaxable += taxableMonthly;
+      const projectedAnnual = Math.max(0, ytdTaxable * 12 / m - rules.personalExemptionAnnual);
+      const dueYtd = calcAnnualTaxEG(projectedAnnual, rules) * m / 12;
+      const taxMonthly = dueYtd - ytdTax;
+      ytdTax = dueYtd;
+      flatTaxTotal += r.taxMonthly;
+
+      rows.push(Object.assign({}, r, {
+        month: m,
+        taxableMonthly,
+        // What calculate() would withhold for this month on its own (month × 12).
+        flatTaxMonthly: r.taxMonthly,
+        taxMonthly,
+        ytdTaxable,
+        ytdTax,
+        netBeforeLoan: r.grossMonthly - r.medicalInsurance - r.siMonthly - taxMonthly - r.martyrsMonthly,
+        netMonthly: r.grossMonthly - r.medicalInsurance - r.siMonthly - taxMonthly - r.martyrsMonthly - r.advanceLoan
+      }));
+    }
+
+    const sum = (key) => rows.reduce((acc, r) => acc + r[key], 0);
+    const taxableAnnual = Math.max(0, ytdTaxable - rules.personalExemptionAnnual);
+    const annualTax = calcAnnualTaxEG(taxableAnnual, rules);
+    const finalMonth = rows[11];
+
+    return {
+      ok: true,
+      year: rules.year,
+      months: rows,
+      totals: {
+        grossMonthly: sum('grossMonthly'),
+        grossAfterMedicalMonthly: sum('grossAfterMedicalMonthly'),
+        siMonthly: sum('siMonthly'),
+        companySiMonthly: sum('companySiMonthly'),
+        martyrsMonthly: sum('martyrsMonthly'),
+        advanceLoan: sum('advanceLoan'),
+        taxMonthly: ytdTax,
+        netMonthly: sum('netMonthly'),
+        employerCostMonthly: sum('employerCostMonthly')
+      },
+      reconciliation: {
+        taxableAnnual,
+        annualTax,
+        withheldBeforeFinal: ytdTax - finalMonth.taxMonthly,
+        finalMonthTax: finalMonth.taxMonthly,
+        // Final-month withholding beyond what the month would carry on its own.
+        trueUp: finalMonth.taxMonthly - finalMonth.flatTaxMonthly,
+        withheldTotal: ytdTax,
+        difference: ytdTax - annualTax,
+        flatTaxTotal,
+        flatDifference: flatTaxTotal - annualTax
+      }
+    };
+  }
+
+  // -----------------------------
+  // Raise projection
+  // -----------------------------
+  const RAISE_COMPONENTS = ['basicGross', 'allowances', 'incentive'];
+
+  // Rule set for a payroll year; years past the last published rules reuse the latest earlier set.
+  function ruleSetForYear(ruleSets, year) {
+    if (ruleSets[year]) return ruleSets[year];
+    const earlier = Object.keys(ruleSets).map(Number).filter((y) => y < year).sort((a, b) => b - a);
+    return earlier.length ? ruleSets[earlier[0]] : null;
+  }
+
+  /**
+   * Raise projection over consecutive payroll years.
+   * input: computePayroll input for the current package (first year, no raise).
+   * plan: { startYear, years, mode: 'percent' | 'fixed', raises: { basicGross, allowances, incentive },
+   *         insurableFollowsBasic }
+   * Each following year raises the previous year's components (percent raises compound) and uses that
+   * year's insurable caps: the insurable base follows the basic gross or keeps its value, clamped to the
+   * caps either way.
+   * Returns { ok: false, year, reason } or { ok: true, rows } where each row has the year, the rule year
+   * used, the breakdown and (from the second year) the change against the previous year.
+   */
+  function simulateRaises(input, plan, ruleSets) {
+    const years = Math.max(1, Math.floor(num(plan.years)));
+    const raises = plan.raises || {};
+    const rows = [];
+    let current = Object.assign({}, input);
+    let prev = null;
+
+    for (let i = 0; i < years; i++) {
+      const year = num(plan.startYear) + i;
+      const rules = ruleSetForYear(ruleSets, year);
+      if (!rules) return { ok: false, year, reason: `There are no payroll rules for ${year} or any earlier year.` };
+
+      if (i > 0) {
+        const next = Object.assign({}, current);
+        RAISE_COMPONENTS.forEach((k) => {
+          const r = num(raises[k]);
+          next[k] = plan.mode === 'fixed' ? num(current[k]) + r : num(current[k]) * (1 + r / 100);
+        });
+        const base = plan.insurableFollowsBasic ? next.basicGross : num(current.insurableBase);
+        next.insurableBase = Math.min(Math.max(base, rules.insurableBaseMin), rules.insurableBaseMax);
+        current = next;
+      }
+
+      const result = computePayroll(current, rules);
+      if (!result.ok) return { ok: false, year, reason: result.reason };
+
+      let delta = null;
+      if (prev) {
+        delta = {
+          gross: result.grossMonthly - prev.grossMonthly,
+          net: result.netMonthly - prev.netMonthly,
+          tax: result.taxMonthly - prev.taxMonthly,
+          employeeSi: result.siMonthly - prev.siMonthly,
+          martyrs: result.martyrsMonthly - prev.martyrsMonthly,
+          companySi: result.companySiMonthly - prev.companySiMonthly,
+          employerCost: result.employerCostMonthly - prev.employerCostMonthly
+        };
+        // Share of the gross raise that ends up in net pay.
+        delta.netShare = delta.gross !== 0 ? delta.net / delta.gross : null;
+      }
+
+      rows.push({ year, rulesYear: rules.year, input: current, result, delta });
+      prev = result;
+    }
+
+    return { ok: true, rows };
+  }
+
+  // -----------------------------
+  // Final settlement
+  // -----------------------------
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // 'YYYY-MM-DD' -> { y, m, d, time } (UTC midnight), or null when it is not a real calendar date.
+  function parseIsoDate(s) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || '').trim());
+    if (!match) return null;
+    const y = Number(match[1]);
+    const m = Number(match[2]);
+    const d = Number(match[3]);
+    const time = Date.UTC(y, m - 1, d);
+    const check = new Date(time);
+    if (check.getUTCFullYear() !== y || check.getUTCMonth() !== m - 1 || check.getUTCDate() !== d) return null;
+    return { y, m, d, time };
+  }
+
+  function daysInMonth(y, m) {
+    return new Date(Date.UTC(y, m, 0)).getUTCDate();
+  }
+
+  // Completed years, months and days from the hire date through the exit date (both days worked).
+  function serviceLength(hire, exit) {
+    const end = new Date(exit.time + DAY_MS);
+    let years = end.getUTCFullYear() - hire.y;
+    let months = end.getUTCMonth() + 1 - hire.m;
+    let days = end.getUTCDate() - hire.d;
+    if (days < 0) {
+      months -= 1;
+      days += daysInMonth(end.getUTCFullYear(), end.getUTCMonth());
+    }
+    if (months < 0) {
+      years -= 1;
+      months += 12;
+    }
+    return { years, months, days, totalYears: years + months / 12 + days / 365 };
+  }
+
+  // Length of service between two 'YYYY-MM-DD' dates (both days counted); null for invalid or reversed dates.
+  function lengthOfService(fromDate, toDate) {
+    const from = parseIsoDate(fromDate);
+    const to = parseIsoDate(toDate);
+    if (!from || !to || to.time < from.time) return null;
+    return serviceLength(from, to);
+  }
+
+  /**
+   * Final pay statement for an employee leaving on exitDate.
+   * input: { hireDate, exitDate ('YYYY-MM-DD'), separation: 'resignation' | 'termination',
+   *          basicGross, allowances, incentive, medicalInsurance, insurableBase,
+   *          unusedLeaveDays, noticeDaysServed, daysPaid, advanceLoan, endOfServiceMonthsPerYear }
+   *   daysPaid: days paid in the exit month (null/blank = up to the exit date).
+   *   advanceLoan: outstanding loan balance, recovered in full.
+   *   endOfServiceMonthsPerYear: company end-of-service award in months of basic gross per service year (0 = none).
+   * rules: the rule set of the exit year.
+   * Leave encashment and notice are valued at the daily basic wage (basic gross / settlement.dailyWageDivisor).
+   * An unserved notice period is paid in lieu on termination and recovered from the employee on resignation.
+   * Employee SI and medical insurance are due for the exit month in full. Tax is the year's tax on the
+   * actual income (months already paid this year at the same package plus the settlement) through
+   * calcAnnualTaxEG, less what those months withheld; it is negative (a refund) when they were over-withheld.
+   * Returns { ok: false, reason } or { ok: true, ...statement }.
+   */
+  function computeFinalSettlement(input, rules) {
+    const hire = parseIsoDate(input.hireDate);
+    const exit = parseIsoDate(input.exitDate);
+    if (!hire) return { ok: false, reason: 'Hire date is not a valid date.' };
+    if (!exit) return { ok: false, reason: 'Exit date is not a valid date.' };
+    if (exit.time < hire.time) return { ok: false, reason: 'Exit date must not be before the hire date.' };
+
+    const cfg = rules.settlement;
+    const basicGross = num(input.basicGross);
+    const allowances = num(input.allowances);
+    const incentive = num(input.incentive);
+    const medicalInsurance = num(input.medicalInsurance);
+    const advanceLoan = num(input.advanceLoan);
+    const termination = input.separation === 'termination';
+
+    const service = serviceLength(hire, exit);
+    const dailyWage = basicGross / cfg.dailyWageDivisor;
+
+    // Exit month: paid up to the exit date (from the hire date when both fall in the same month).
+    const sameMonth = hire.y === exit.y && hire.m === exit.m;
+    const defaultDaysPaid = sameMonth ? exit.d - hire.d + 1 : exit.d;
+    const daysPaid = input.daysPaid == null || input.daysPaid === '' ? defaultDaysPaid : num(input.daysPaid);
+    const monthFraction = daysPaid >= daysInMonth(exit.y, exit.m) ? 1 : Math.min(1, daysPaid / cfg.dailyWageDivisor);
+    const proratedSalary = (basicGross + allowances + incentive) * monthFraction;
+
+    const unusedLeaveDays = num(input.unusedLeaveDays);
+    const leaveEncashment = unusedLeaveDays * dailyWage;
+
+    const requiredNoticeDays = service.totalYears >= cfg.longServiceYears ? cfg.noticeDays.longService : cfg.noticeDays.shortService;
+    const noticeDaysServed = num(input.noticeDaysServed);
+    const noticeShortfallDays = Math.max(0, requiredNoticeDays - noticeDaysServed);
+    const noticePay = termination ? noticeShortfallDays * dailyWage : 0;
+    const noticeRecovery = termination ? 0 : noticeShortfallDays * dailyWage;
+
+    const endOfServiceMonthsPerYear = num(input.endOfServiceMonthsPerYear);
+    const endOfServiceAward = endOfServiceMonthsPerYear * basicGross * service.totalYears;
+
+    const totalEarnings = proratedSalary + leaveEncashment + noticePay + endOfServiceAward;
+    // Tax and martyrs base; an unserved notice recovery can exceed the final pay.
+    const grossAfterMedical = Math.max(0, totalEarnings - noticeRecovery - medicalInsurance);
+
+    const insurableBase = num(input.insurableBase);
+    const siMonthly = insurableBase * (rules.employeeSiRatePct / 100.0);
+    const companySiMonthly = insurableBase * (rules.companySiRatePct / 100.0);
+    const martyrs = grossAfterMedical * rules.martyrsRate;
+    const settlementTaxable = Math.max(0, grossAfterMedical - siMonthly);
+
+    // Months before the exit month already paid this year at the same package (the hire month counts in full).
+    const priorMonths = exit.m - (hire.y === exit.y ? hire.m : 1);
+    let priorTaxable = 0;
+    let priorWithheld = 0;
+    if (priorMonths > 0) {
+      const regular = computePayroll({ basicGross, allowances, incentive, medicalInsurance, insurableBase }, rules);
+      if (!regular.ok) return { ok: false, reason: regular.reason };
+      priorTaxable = priorMonths * (regular.grossAfterMedicalMonthly - regular.siMonthly);
+      priorWithheld = priorMonths * regular.taxMonthly;
+    }
+    const annualTaxable = Math.max(0, priorTaxable + settlementTaxable - rules.personalExemptionAnnual);
+    const annualTax = calcAnnualTaxEG(annualTaxable, rules);
+    const tax = annualTax - priorWithheld;
+
+    const totalDeductions = noticeRecovery + medicalInsurance + siMonthly + tax + martyrs + advanceLoan;
+
+    return {
+      ok: true,
+      year: rules.year,
+      hireDate: input.hireDate,
+      exitDate: input.exitDate,
+      separation: termination ? 'termination' : 'resignation',
+      service,
+      basicGross,
+      allowances,
+      incentive,
+      insurableBase,
+      dailyWage,
+      daysPaid,
+      monthFraction,
+      proratedSalary,
+      unusedLeaveDays,
+      leaveEncashment,
+      requiredNoticeDays,
+      noticeDaysServed,
+      noticeShortfallDays,
+      noticePay,
+      noticeRecovery,
+      endOfServiceMonthsPerYear,
+      endOfServiceAward,
+      totalEarnings,
+      medicalInsurance,
+      siMonthly,
+      companySiMonthly,
+      martyrs,
+      advanceLoan,
+      tax,
+      taxDetail: { priorMonths, priorTaxable, priorWithheld, settlementTaxable, annualTaxable, annualTax },
+      totalDeductions,
+      // Negative when the employee owes the company (e.g. an outstanding loan larger than the settlement).
+      netPayable: totalEarnings - totalDeductions
+    };
+  }
+
+  // -----------------------------
+  // Advance loan schedule
+  // -----------------------------
+  const floorCents = (n) => Math.floor(n * 100 + 1e-6) / 100;
+
+  // 'YYYY-MM' shifted by n months.
+  function addMonths(period, n) {
+    const y = Number(period.slice(0, 4));
+    const m = Number(period.slice(5, 7)) - 1 + n;
+    const d = new Date(Date.UTC(y, m, 1));
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Month-by-month repayment of an advance loan.
+   * loan: { principal, startMonth: 'YYYY-MM', mode: 'instalments' | 'percentOfNet', instalments, percentOfNet, netFloor }
+   *   instalments: equal instalments (the last one takes the rounding remainder);
+   *   percentOfNet: each instalment is that percentage of the month's net before the loan.
+   *   netFloor: minimum take-home pay; falls back to the rules' loan.netFloor.
+   * base: computePayroll input for the regular package (its advanceLoan is ignored).
+   * ruleSets: buildRuleSets() output; each month uses its payroll year's rules (or the latest earlier ones).
+   * An instalment that would take the take-home below the floor is cut to what the floor allows and the rest
+   * is carried forward, so the schedule runs longer. Fails when the loan is not repaid within loan.maxMonths.
+   * Returns { ok: false, reason } or { ok: true, rows, months, totalRepaid, cappedMonths }.
+   */
+  function buildLoanSchedule(loan, base, ruleSets) {
+    const principal = num(loan.principal);
+    const start = String(loan.startMonth || '');
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(start)) return { ok: false, reason: 'Start month must be a month (YYYY-MM).' };
+    if (!(principal > 0)) return { ok: false, reason: 'Loan principal must be more than 0.' };
+
+    const firstRules = ruleSetForYear(ruleSets, Number(start.slice(0, 4)));
+    if (!firstRules) return { ok: false, reason: `There are no payroll rules for ${start.slice(0, 4)} or any earlier year.` };
+    const maxMonths = firstRules.loan.maxMonths;
+    const byCount = loan.mode !== 'percentOfNet';
+    const count = Math.floor(num(loan.instalments));
+    const pct = num(loan.percentOfNet);
+    if (byCount && count < 1) return { ok: false, reason: 'Number of instalments must be at least 1.' };
+    if (!byCount && !(pct > 0 && pct <= 100)) return { ok: false, reason: 'Maximum percentage of net must be between 0 and 100.' };
+
+    const equalInstalment = byCount ? Math.ceil(principal / count * 100 - 1e-6) / 100 : 0;
+    const input = Object.assign({}, base, { advanceLoan: 0 });
+    const netCache = {};
+    const rows = [];
+    let balance = principal;
+
+    for (let i = 0; balance > 0.005; i++) {
+      if (i >= maxMonths) {
+        return { ok: false, reason: `The loan cannot be repaid within ${maxMonths} months without taking the take-home pay below the floor.` };
+      }
+      const period = addMonths(start, i);
+      const year = Number(period.slice(0, 4));
+      const rules = ruleSetForYear(ruleSets, year);
+      if (!(year in netCache)) {
+        const r = computePayroll(input, rules);
+        if (!r.ok) return { ok: false, reason: r.reason };
+        netCache[year] = r.netBeforeLoan;
+      }
+      const netBeforeLoan = netCache[year];
+      const netFloor = loan.netFloor == null || loan.netFloor === '' ? rules.loan.netFloor : num(loan.netFloor);
+
+      const planned = Math.min(balance, byCount ? equalInstalment : floorCents(netBeforeLoan * pct / 100));
+      const allowed = Math.max(0, floorCents(netBeforeLoan - netFloor));
+      const instalment = Math.min(planned, allowed);
+      // Balances are kept in whole piastres.
+      const closing = Math.round((balance - instalment) * 100) / 100;
+
+      rows.push({
+        period,
+        year,
+        rulesYear: rules.year,
+        opening: balance,
+        planned,
+        instalment,
+        capped: instalment < planned - 0.005,
+        closing,
+        netBeforeLoan,
+        netFloor,
+        takeHome: netBeforeLoan - instalment
+      });
+      balance = closing;
+    }
+
+    return {
+      ok: true,
+      rows,
+      months: rows.length,
+      totalRepaid: rows.reduce((acc, r) => acc + r.instalment, 0),
+      cappedMonths: rows.filter((r) => r.capped).length
+    };
+  }
+
+  // Instalment due in a pay period ('YYYY-MM'); 0 outside the schedule.
+  function loanInstalmentFor(schedule, period) {
+    const row = schedule && schedule.rows ? schedule.rows.find((r) => r.period === period) : null;
+    return row ? row.instalment : 0;
+  }
+
+  // -----------------------------
+  // Net -> basic gross solver
+  // -----------------------------
+  function fmtAmount(n) {
+    return Number(n).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+
+  // Annual-taxable breakpoints: every bracket edge and relief-removal threshold.
+  function taxBreakpoints(rules) {
+    const pts = [0];
+    rules.taxBrackets.forEach((b) => { if (b.upTo != null) pts.push(b.upTo); });
+    rules.reliefRemoval.forEach((rr) => pts.push(rr.above));
+    return Array.from(new Set(pts)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Splits annual taxable income into segments (lo, hi] on which tax is exactly linear:
+   * tax = intercept + rate * income. The first segment (income <= 0) carries no tax.
+   */
+  function taxSegments(rules) {
+    const pts = taxBreakpoints(rules);
+    const segs = [{ lo: -Infinity, hi: 0, rate: 0, intercept: 0, reliefAbove: null }];
+
+    pts.forEach((lo, i) => {
+      const hi = i + 1 < pts.length ? pts[i + 1] : Infinity;
+      const x = Number.isFinite(hi) ? hi : lo + 1;
+
+      let fromBand = 0;
+      let reliefAbove = null;
+      rules.reliefRemoval.forEach((rr) => {
+        if (lo >= rr.above && rr.fromBand >= fromBand) {
+          fromBand = rr.fromBand;
+          reliefAbove = rr.above;
+        }
+      });
+
+      let band = fromBand;
+      while (band < rules.taxBrackets.length - 1 && rules.taxBrackets[band].upTo != null && x > rules.taxBrackets[band].upTo) band += 1;
+
+      const rate = rules.taxBrackets[band].rate;
+      segs.push({ lo, hi, rate, intercept: calcAnnualTaxEG(x, rules) - rate * x, reliefAbove });
+    });
+
+    return segs;
+  }
+
+  /**
+   * Basic gross salary that produces `targetNet` (monthly net paid, after the advance loan)
+   * with every other pay component in `input` held fixed.
+   *
+   * Within one tax segment the net is linear in basic gross, so each segment is solved exactly.
+   * Relief-removal thresholds make the net drop as gross rises; the lowest basic gross that
+   * reaches the target is returned and any higher alternative is reported in `notes`.
+   * opts.netOffset: amount the caller added to the net the user asked for (e.g. the allowances); net
+   * amounts quoted in error messages leave it out so they read in the user's own terms.
+   *
+   * Returns { ok: true, basicGross, result, notes } or { ok: false, code, reason }.
+   */
+  function solveBasicGrossForNet(targetNet, input, rules, opts) {
+    const netOffset = num(opts && opts.netOffset);
+    const p = Object.assign({}, input, { basicGross: 0 });
+    const allowances = num(p.allowances);
+    const incentive = num(p.incentive);
+    const bonus = num(p.bonus);
+    const medical = num(p.medicalInsurance);
+    const loan = num(p.advanceLoan);
+    const si = num(p.insurableBase) * (rules.employeeSiRatePct / 100.0);
+    const m = rules.martyrsRate;
+    const ex = rules.personalExemptionAnnual;
+
+    // Gross after medical = k * basic + c
+    const k = basicGrossFactor(p, rules);
+    const c = allowances + incentive + bonus - medical;
+
+    if (k <= 0) {
+      return { ok: false, code: 'invalid', reason: 'Deduction hours cancel out the whole basic salary; the net cannot be solved. Please review overtime and deduction hours.' };
+    }
+
+    const basicForTaxable = (T) => ((T + ex) / 12 + si - c) / k;
+    const netAt = (basicGross) => computePayroll(Object.assign({}, p, { basicGross }), rules);
+
+    const minRes = netAt(rules.minBasicGross);
+    if (!minRes.ok) return { ok: false, code: 'invalid', reason: minRes.reason };
+    if (targetNet < minRes.netMonthly - 0.005) {
+      return {
+        ok: false,
+        code: 'too-low',
+        reason: `Target net salary is too low. The minimum basic gross salary of ${fmtAmount(rules.minBasicGross)} EGP already pays a net of ${fmtAmount(minRes.netMonthly - netOffset)} EGP with these components.`
+      };
+    }
+
+    const segs = taxSegments(rules);
+    const solutions = [];
+
+    segs.forEach((seg) => {
+      const slope = k * (1 - m - seg.rate);
+      if (slope <= 0) return;
+
+      // net = slope * basic + base on this segment
+      const base = (1 - m) * c - si - loan - seg.intercept / 12 - seg.rate * (c - si) + seg.rate * ex / 12;
+      const b = (targetNet - base) / slope;
+
+      const bLo = Number.isFinite(seg.lo) ? basicForTaxable(seg.lo) : -Infinity;
+      const bHi = Number.isFinite(seg.hi) ? basicForTaxable(seg.hi) : Infinity;
+      const eps = 1e-7;
+      if (b > bLo + eps && b <= bHi + eps && b >= rules.minBasicGross - eps) solutions.push({ basicGross: b, seg });
+    });
+
+    if (!solutions.length) {
+      // Only possible when a threshold makes the net jump UP past the target.
+      const gapAt = segs.find((seg) => seg.reliefAbove != null && Number.isFinite(seg.lo) && seg.lo === seg.reliefAbove &&
+        (() => {
+          const b = basicForTaxable(seg.lo);
+          const below = netAt(b);
+          const above = netAt(b + 0.01);
+          return below.ok && above.ok && targetNet > below.netMonthly && targetNet < above.netMonthly;
+        })());
+      return {
+        ok: false,
+        code: 'gap',
+        reason: gapAt
+          ? `This target net is unreachable: at the ${fmtAmount(gapAt.reliefAbove)} EGP annual taxable relief threshold the net salary jumps past it. Please choose a different target.`
+          : 'Unable to solve: target net salary is too high given the current assumptions. Please review the pay components or try a lower net.'
+      };
+    }
+
+    solutions.sort((x, y) => x.basicGross - y.basicGross);
+    const best = solutions[0];
+
+    // Round to piastres and keep whichever neighbour lands closest to the target.
+    const cents = Math.round(best.basicGross * 100);
+    const picks = [cents - 1, cents, cents + 1]
+      .filter((cv) => cv / 100 >= rules.minBasicGross)
+      .map((cv) => ({ basicGross: cv / 100, result: netAt(cv / 100) }))
+      .filter((x) => x.result.ok)
+      .sort((x, y) => Math.abs(x.result.netMonthly - targetNet) - Math.abs(y.result.netMonthly - targetNet) || x.basicGross - y.basicGross);
+    const chosen = picks[0];
+
+    const notes = solutions.slice(1).map((alt) => {
+      const threshold = alt.seg.reliefAbove;
+      return threshold != null
+        ? `A basic gross of ${fmtAmount(Math.round(alt.basicGross * 100) / 100)} EGP also pays this net: above ${fmtAmount(threshold)} EGP annual taxable income the lower-band reliefs are removed, so net pay drops before it recovers. The lower basic gross is used.`
+        : `A basic gross of ${fmtAmount(Math.round(alt.basicGross * 100) / 100)} EGP also pays this net. The lower basic gross is used.`;
+    });
+
+    return { ok: true, basicGross: chosen.basicGross, result: chosen.result, notes };
+  }
+
+  // -----------------------------
+  // Employer budget -> basic gross solver
+  // -----------------------------
+
+  /**
+   * Basic gross salary whose total monthly employer cost (gross + employer SI + company-paid medical)
+   * equals `monthlyBudget`, with every other component in `input` held fixed.
+   * opts.insurableFollowsBasic: the insurable base tracks the basic gross, clamped to the year's caps.
+   *
+   * Returns { ok: true, basicGross, insurableBase, result } or { ok: false, code, reason }.
+   */
+  function solveBasicGrossForBudget(monthlyBudget, input, rules, opts) {
+    const follows = !!(opts && opts.insurableFollowsBasic);
+    const k = basicGrossFactor(input, rules);
+    const fixed = num(input.allowances) + num(input.incentive) + num(input.bonus) + num(input.companyMedicalInsurance);
+    const rate = rules.companySiRatePct / 100.0;
+
+    if (k <= 0) {
+      return { ok: false, code: 'invalid', reason: 'Deduction hours cancel out the whole basic salary; the budget cannot be solved. Please review overtime and deduction hours.' };
+    }
+
+    const insurableFor = (b) => (follows ? Math.min(Math.max(b, rules.insurableBaseMin), rules.insurableBaseMax) : num(input.insurableBase));
+    const costAt = (b) => k * b + fixed + rate * insurableFor(b);
+
+    const minCost = costAt(rules.minBasicGross);
+    if (monthlyBudget < minCost - 0.005) {
+      return {
+        ok: false,
+        code: 'too-low',
+        reason: `The budget is too low. The minimum basic gross salary of ${fmtAmount(rules.minBasicGross)} EGP already costs ${fmtAmount(minCost)} EGP per month with these components.`
+      };
+    }
+
+    // Cost is linear in basic gross on each insurable-base region, and increasing throughout.
+    let basicGross;
+    if (!follows) {
+      basicGross = (monthlyBudget - fixed - rate * num(input.insurableBase)) / k;
+    } else if (monthlyBudget <= costAt(rules.insurableBaseMin)) {
+      basicGross = (monthlyBudget - fixed - rate * rules.insurableBaseMin) / k;
+    } else if (monthlyBudget <= costAt(rules.insurableBaseMax)) {
+      basicGross = (monthlyBudget - fixed) / (k + rate);
+    } else {
+      basicGross = (monthlyBudget - fixed - rate * rules.insurableBaseMax) / k;
+    }
+
+    // Round to piastres without exceeding the budget.
+    basicGross = Math.max(rules.minBasicGross, Math.floor(basicGross * 100 + 1e-6) / 100);
+    const insurableBase = insurableFor(basicGross);
+
+    const result = computePayroll(Object.assign({}, input, { basicGross, insurableBase }), rules);
+    if (!result.ok) return { ok: false, code: 'invalid', reason: result.reason };
+
+    return { ok: true, basicGross, insurableBase, result };
+  }
+
+  return {
+    validateRulesDocument,
+    buildRuleSets,
+    calcAnnualTaxEG,
+    calcAnnualTaxBreakdownEG,
+    computePayroll,
+    computePayrollYear,
+    computeFinalSettlement,
+    lengthOfService,
+    buildLoanSchedule,
+    loanInstalmentFor,
+    MONTH_FIELDS,
+    OVERTIME_CATEGORIES,
+    simulateRaises,
+    taxSegments,
+    solveBasicGrossForNet,
+    solveBasicGrossForBudget,
+    NEGATIVE_GROSS_MSG
+  };
+});
@@ -0,0 +1,469 @@
+/* Payroll engine tests
+   Run with: node --test salary-calculator/payroll-engine.test.js
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const engine = require('./payroll-engine.js');
+
+function readJson(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, name), 'utf8'));
+}
+
+const RULES_DOC = readJson('payroll-rules.json');
+const SCHEMA = readJson('payroll-rules.schema.json');
+const RULE_SETS = engine.buildRuleSets(RULES_DOC);
+const RULES = RULE_SETS[2026];
+
+function near(actual, expected, msg) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${msg || ''} expected ${expected}, got ${actual}`);
+}
+
+test('shipped payroll-rules.json passes schema validation', () => {
+  assert.deepEqual(engine.validateRulesDocument(RULES_DOC, SCHEMA), []);
+});
+
+test('invalid rules documents report every problem with its path', () => {
+  const doc = JSON.parse(JSON.stringify(RULES_DOC));
+  doc.martyrsRate = 'x';
+  doc.years['2025'].taxBrackets[1].rate = 2;
+  delete doc.years['2024'].reliefRemoval;
+  doc.extra = true;
+
+  assert.deepEqual(engine.validateRulesDocument(doc, SCHEMA), [
+    'martyrsRate must be number.',
+    'years.2024.reliefRemoval is required.',
+    'years.2025.taxBrackets[1].rate must be at most 1.',
+    'extra is not a recognised setting.'
+  ]);
+});
+
+test('rules consistency: bracket order and open-ended last bracket', () => {
+  const doc = JSON.parse(JSON.stringify(RULES_DOC));
+  doc.years['2026'].taxBrackets[2].upTo = 50000;
+  doc.years['2026'].taxBrackets[6].upTo = 2000000;
+
+  assert.deepEqual(engine.validateRulesDocument(doc, SCHEMA), [
+    'years.2026.taxBrackets must be in ascending "upTo" order.',
+    'years.2026.taxBrackets: the last bracket must have "upTo": null.'
+  ]);
+});
+
+test('rule sets apply the company floor to the statutory insurable minimum', () => {
+  assert.equal(RULE_SETS[2024].insurableBaseMin, 5500);
+  assert.equal(RULE_SETS[2024].insurableBaseMax, 12600);
+  assert.equal(RULE_SETS[2026].insurableBaseMax, 16700);
+  assert.equal(RULE_SETS[2027].insurableBaseMax, 19300);
+});
+
+test('calcAnnualTaxEG golden values around every bracket edge', () => {
+  const cases = [
+    [-1000, 0],
+    [0, 0],
+    [40000, 0],
+    [40001, 0.1],
+    [55000, 1500],
+    [55001, 1500.15],
+    [70000, 3750],
+    [70001, 3750.2],
+    [200000, 29750],
+    [200001, 29750.225],
+    [400000, 74750],
+    [400001, 74750.25],
+    [600000, 124750],
+    // Above 600k the 0% band is removed (10% from the first pound).
+    [600001, 128750.25],
+    [700000, 153750],
+    // Above 700k the 10% band goes too (15% up to 70k).
+    [700001, 156500.25],
+    [800000, 181500],
+    // Above 800k: 20% up to 200k.
+    [800001, 185000.25],
+    [900000, 210000],
+    // Above 900k: 22.5% up to 400k.
+    [900001, 215000.25],
+    [1200000, 290000],
+    // Above 1.2M: 25% up to 1.2M, 27.5% above.
+    [1200001, 300000.275],
+    [2000000, 520000]
+  ];
+
+  cases.forEach(([income, tax]) => near(engine.calcAnnualTaxEG(income, RULES), tax, `tax(${income})`));
+});
+
+test('calcAnnualTaxBreakdownEG slices add up to calcAnnualTaxEG', () => {
+  [0, 39999, 55000, 123456, 600000, 600001, 650000, 777777, 1000000, 1500000].forEach((income) => {
+    const b = engine.calcAnnualTaxBreakdownEG(income, RULES);
+    near(b.tax, engine.calcAnnualTaxEG(income, RULES), `tax(${income})`);
+    near(b.slices.reduce((acc, s) => acc + s.tax, 0), b.tax, `slices(${income})`);
+    near(b.slices.reduce((acc, s) => acc + s.taxed, 0), income, `taxed(${income})`);
+  });
+});
+
+test('calcAnnualTaxBreakdownEG shows removed relief bands and rates', () => {
+  const below = engine.calcAnnualTaxBreakdownEG(100000, RULES);
+  assert.equal(below.reliefRemovedBands, 0);
+  assert.deepEqual(below.slices.slice(0, 4).map((s) => [s.from, s.to, s.taxed]), [
+    [0, 40000, 40000], [40000, 55000, 15000], [55000, 70000, 15000], [70000, 200000, 30000]
+  ]);
+  assert.equal(below.marginalRate, 0.2);
+  near(below.effectiveRate, 9750 / 100000);
+
+  // Above 700k the 0% and 10% bands are gone; 15% applies from the first pound.
+  const above = engine.calcAnnualTaxBreakdownEG(750000, RULES);
+  assert.equal(above.reliefRemovedBands, 2);
+  assert.deepEqual(above.slices.map((s) => s.removed), [true, true, false, false, false, false, false]);
+  assert.deepEqual([above.slices[2].from, above.slices[2].taxed], [0, 70000]);
+  assert.equal(above.marginalRate, 0.25);
+  assert.equal(above.slices[6].taxed, 0);
+});
+
+test('computePayroll: standard package', () => {
+  const r = engine.computePayroll({ basicGross: 10000, allowances: 1000, insurableBase: 10000 }, RULES);
+
+  assert.equal(r.ok, true);
+  assert.equal(r.year, 2026);
+  assert.equal(r.insurableBase, 10000);
+  near(r.grossMonthly, 11000);
+  near(r.siMonthly, 1100);
+  near(r.companySiMonthly, 1875);
+  near(r.martyrsMonthly, 5.5);
+  // 132,000 - 13,200 - 20,000 exemption
+  near(r.taxableAnnual, 98800);
+  near(r.taxAnnual, 9510);
+  near(r.taxMonthly, 792.5);
+  near(r.netMonthly, 9102);
+  assert.equal(r.marginalTaxRate, 0.2);
+  near(r.effectiveTaxRate, 9510 / 98800);
+  assert.equal(r.taxSlices.length, RULES.taxBrackets.length);
+});
+
+test('computePayroll: overtime, hour deductions, medical and loan', () => {
+  const r = engine.computePayroll({
+    basicGross: 12000,
+    overtimeHours: 10,
+    deductionHours: 4,
+    medicalInsurance: 300,
+    advanceLoan: 500,
+    insurableBase: 12000
+  }, RULES);
+
+  near(r.hourlyRate, 50);
+  near(r.overtimeValueMonthly, 750);
+  near(r.hourDeductionValueMonthly, 200);
+  near(r.grossBeforeDeductionsMonthly, 12750);
+  near(r.grossMonthly, 12550);
+  near(r.grossAfterMedicalMonthly, 12250);
+  near(r.martyrsMonthly, 6.125);
+  near(r.netMonthly, r.netBeforeLoan - 500);
+  near(r.netBeforeLoan, 12550 - 300 - 1320 - r.taxMonthly - 6.125);
+});
+
+test('computePayroll: overtime categories and a custom monthly-hours divisor', () => {
+  const r = engine.computePayroll({
+    basicGross: 10400,
+    overtimeHours: 4,
+    nightOvertimeHours: 2,
+    restDayHours: 8,
+    publicHolidayHours: 8,
+    monthlyHoursDivisor: 208,
+    insurableBase: 10400
+  }, RULES);
+
+  assert.equal(r.monthlyHoursDivisor, 208);
+  near(r.hourlyRate, 50);
+  assert.deepEqual(r.overtime.map((o) => [o.key, o.hours, o.multiplier, o.value]), [
+    ['day', 4, 1.5, 300],
+    ['night', 2, 1.7, 170],
+    ['restDay', 8, 2, 800],
+    ['publicHoliday', 8, 3, 1200]
+  ]);
+  near(r.overtimeValueMonthly, 2470);
+  near(r.grossBeforeDeductionsMonthly, 12870);
+
+  // A blank divisor falls back to the rules default.
+  near(engine.computePayroll({ basicGross: 12000, insurableBase: 12000 }, RULES).hourlyRate, 12000 / RULES.monthlyHoursDivisor);
+});
+
+test('computePayroll: negative gross after medical is rejected', () => {
+  const r = engine.computePayroll({ basicGross: 6000, medicalInsurance: 7000, insurableBase: 6000 }, RULES);
+  assert.equal(r.ok, false);
+  assert.equal(r.reason, engine.NEGATIVE_GROSS_MSG);
+});
+
+test('solveBasicGrossForNet round-trips the forward calculation in every tax segment', () => {
+  const input = { allowances: 1200, incentive: 1500, bonus: 400, overtimeHours: 8, deductionHours: 2, medicalInsurance: 250, advanceLoan: 300, insurableBase: 12000 };
+
+  [6000, 9000, 15000, 25000, 40000, 52000, 60000, 68000, 76000, 90000, 120000].forEach((basicGross) => {
+    const target = engine.computePayroll({ ...input, basicGross }, RULES).netMonthly;
+    const solved = engine.solveBasicGrossForNet(target, input, RULES);
+
+    assert.equal(solved.ok, true, `solve(${basicGross})`);
+    assert.ok(Math.abs(solved.result.netMonthly - target) < 0.01, `net for ${basicGross}`);
+    assert.ok(Math.abs(solved.basicGross - basicGross) <= 0.02, `basic for ${basicGross}: ${solved.basicGross}`);
+  });
+});
+
+test('solvers account for every overtime category and the divisor', () => {
+  const input = { allowances: 800, overtimeHours: 6, nightOvertimeHours: 4, restDayHours: 8, publicHolidayHours: 8, monthlyHoursDivisor: 208, insurableBase: 12000 };
+  const target = engine.computePayroll({ ...input, basicGross: 14000 }, RULES);
+
+  const solved = engine.solveBasicGrossForNet(target.netMonthly, input, RULES);
+  assert.equal(solved.ok, true);
+  assert.ok(Math.abs(solved.basicGross - 14000) <= 0.02, `basic ${solved.basicGross}`);
+
+  const budget = engine.solveBasicGrossForBudget(target.employerCostMonthly, input, RULES);
+  assert.equal(budget.ok, true);
+  assert.ok(Math.abs(budget.basicGross - 14000) <= 0.02, `budget basic ${budget.basicGross}`);
+});
+
+test('solveBasicGrossForNet picks the lower gross around a relief-removal threshold', () => {
+  const input = { insurableBase: 16700 };
+  // Basic gross at which annual taxable income is exactly 600,000.
+  const atThreshold = (600000 + 20000 + 16700 * 0.11 * 12) / 12;
+  const netAtThreshold = engine.computePayroll({ ...input, basicGross: atThreshold }, RULES).netMonthly;
+  const netJustAbove = engine.computePayroll({ ...input, basicGross: atThreshold + 0.01 }, RULES).netMonthly;
+  assert.ok(netJustAbove < netAtThreshold - 300, 'net drops when the 0% band is removed');
+
+  const solved = engine.solveBasicGrossForNet(netAtThreshold - 100, input, RULES);
+  assert.equal(solved.ok, true);
+  assert.ok(solved.basicGross < atThreshold);
+  assert.equal(solved.notes.length, 1);
+  assert.match(solved.notes[0], /600,000 EGP annual taxable income/);
+});
+
+test('solveBasicGrossForNet reports targets below the minimum basic gross', () => {
+  const solved = engine.solveBasicGrossForNet(1000, { insurableBase: 6000 }, RULES);
+  assert.equal(solved.ok, false);
+  assert.equal(solved.code, 'too-low');
+});
+
+test('solveBasicGrossForNet quotes the minimum net without the caller\'s offset', () => {
+  const input = { allowances: 2000, insurableBase: 6000 };
+  const minNet = engine.computePayroll({ ...input, basicGross: RULES.minBasicGross }, RULES).netMonthly;
+  const amount = (n) => n.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+  const plain = engine.solveBasicGrossForNet(1000, input, RULES);
+  assert.equal(plain.code, 'too-low');
+  assert.ok(plain.reason.includes(`already pays a net of ${amount(minNet)} EGP`), plain.reason);
+
+  // The calculator solves for target + allowances; the message is in terms of the target the user typed.
+  const offset = engine.solveBasicGrossForNet(1000 + 2000, input, RULES, { netOffset: 2000 });
+  assert.equal(offset.code, 'too-low');
+  assert.ok(offset.reason.includes(`already pays a net of ${amount(minNet - 2000)} EGP`), offset.reason);
+});
+
+test('solveBasicGrossForBudget consumes the employer-cost budget', () => {
+  const input = { allowances: 1000, incentive: 500, overtimeHours: 6, companyMedicalInsurance: 400, insurableBase: 9000 };
+
+  [10000, 15000, 30000, 80000].forEach((budget) => {
+    const solved = engine.solveBasicGrossForBudget(budget, input, RULES);
+    assert.equal(solved.ok, true, `budget ${budget}`);
+    assert.equal(solved.insurableBase, 9000);
+    const cost = solved.result.employerCostMonthly;
+    assert.ok(cost <= budget + 1e-9 && budget - cost < 0.02, `cost for ${budget}: ${cost}`);
+    near(cost, solved.result.grossMonthly + solved.result.companySiMonthly + 400);
+  });
+});
+
+test('solveBasicGrossForBudget with the insurable base following basic gross', () => {
+  const input = { allowances: 1000, companyMedicalInsurance: 250 };
+
+  // Below the floor, between the caps, and above the insurable maximum.
+  [8000, 12000, 25000].forEach((budget) => {
+    const solved = engine.solveBasicGrossForBudget(budget, input, RULES, { insurableFollowsBasic: true });
+    assert.equal(solved.ok, true, `budget ${budget}`);
+    const expectedBase = Math.min(Math.max(solved.basicGross, RULES.insurableBaseMin), RULES.insurableBaseMax);
+    near(solved.insurableBase, expectedBase, `insurable for ${budget}`);
+    assert.ok(budget - solved.result.employerCostMonthly < 0.02, `cost for ${budget}`);
+  });
+});
+
+test('solveBasicGrossForBudget reports budgets below the minimum basic gross', () => {
+  const solved = engine.solveBasicGrossForBudget(5000, { insurableBase: 6000 }, RULES);
+  assert.equal(solved.ok, false);
+  assert.equal(solved.code, 'too-low');
+});
+
+test('computePayrollYear: flat months withhold the same tax as computePayroll', () => {
+  const base = { basicGross: 10000, allowances: 1000, insurableBase: 10000 };
+  const months = Array.from({ length: 12 }, () => ({}));
+  const y = engine.computePayrollYear(base, months, RULES);
+  const single = engine.computePayroll(base, RULES);
+
+  assert.equal(y.ok, true);
+  y.months.forEach((m) => {
+    near(m.taxMonthly, single.taxMonthly, `tax month ${m.month}`);
+    near(m.netMonthly, single.netMonthly, `net month ${m.month}`);
+  });
+  near(y.reconciliation.annualTax, single.taxAnnual);
+  near(y.reconciliation.difference, 0);
+  near(y.reconciliation.flatDifference, 0);
+});
+
+test('computePayrollYear: a one-off bonus is taxed on the YTD basis and trued up in the final month', () => {
+  const base = { basicGross: 20000, allowances: 2000, insurableBase: 16700 };
+  const months = Array.from({ length: 12 }, () => ({}));
+  months[2] = { bonus: 60000 };
+  months[6] = { overtimeHours: 20, advanceLoan: 1000 };
+  months[9] = { deductionHours: 8 };
+
+  const y = engine.computePayrollYear(base, months, RULES);
+  assert.equal(y.ok, true);
+
+  // Withholding over the year equals the tax on the actual annual income.
+  const annualIncome = y.months.reduce((acc, m) => acc + m.taxableMonthly, 0);
+  const annualTax = engine.calcAnnualTaxEG(annualIncome - RULES.personalExemptionAnnual, RULES);
+  near(y.reconciliation.annualTax, annualTax);
+  near(y.totals.taxMonthly, annualTax);
+  near(y.months.reduce((acc, m) => acc + m.taxMonthly, 0), annualTax);
+  near(y.reconciliation.withheldBeforeFinal + y.reconciliation.finalMonthTax, annualTax);
+
+  // Annualising the bonus month alone (month × 12) over-withholds.
+  assert.ok(y.reconciliation.flatDifference > 1000);
+  near(y.months[6].netMonthly, y.months[6].netBeforeLoan - 1000);
+});
+
+test('computePayrollYear reports the failing month', () => {
+  const months = Array.from({ length: 12 }, () => ({}));
+  months[4] = { deductionHours: 1000 };
+  const y = engine.computePayrollYear({ basicGross: 6000, insurableBase: 6000 }, months, RULES);
+  assert.equal(y.ok, false);
+  assert.equal(y.month, 5);
+});
+
+test('simulateRaises compounds percent raises and applies each year\'s insurable caps', () => {
+  const sim = engine.simulateRaises(
+    { basicGross: 14000, allowances: 1000, insurableBase: 14000 },
+    { startYear: 2025, years: 4, mode: 'percent', raises: { basicGross: 10, allowances: 5 }, insurableFollowsBasic: true },
+    RULE_SETS
+  );
+
+  assert.equal(sim.ok, true);
+  assert.deepEqual(sim.rows.map((r) => [r.year, r.rulesYear]), [[2025, 2025], [2026, 2026], [2027, 2027], [2028, 2027]]);
+  assert.equal(sim.rows[0].delta, null);
+  near(sim.rows[1].input.basicGross, 15400);
+  near(sim.rows[2].input.basicGross, 16940);
+  near(sim.rows[2].input.allowances, 1102.5);
+  // Insurable base follows basic gross up to each year's cap (16,700 in 2026 rules ... 19,300 in 2027).
+  near(sim.rows[1].input.insurableBase, 15400);
+  near(sim.rows[2].input.insurableBase, 16940);
+  near(sim.rows[3].input.insurableBase, 18634);
+
+  sim.rows.slice(1).forEach((r) => {
+    const d = r.delta;
+    near(d.net, d.gross - d.tax - d.employeeSi - d.martyrs, `net delta ${r.year}`);
+    near(d.netShare, d.net / d.gross);
+    assert.ok(d.netShare > 0 && d.netShare < 1);
+  });
+});
+
+test('simulateRaises with fixed raises keeps the insurable base inside the caps', () => {
+  const sim = engine.simulateRaises(
+    { basicGross: 8000, insurableBase: 14500 },
+    { startYear: 2025, years: 2, mode: 'fixed', raises: { basicGross: 1000 } },
+    RULE_SETS
+  );
+  near(sim.rows[1].input.basicGross, 9000);
+  near(sim.rows[1].input.insurableBase, 14500);
+
+  const none = engine.simulateRaises({ basicGross: 8000, insurableBase: 8000 }, { startYear: 2020, years: 2 }, RULE_SETS);
+  assert.equal(none.ok, false);
+  assert.equal(none.year, 2020);
+});
+
+test('computeFinalSettlement pro-rates the exit month, values leave and notice and trues up the year\'s tax', () => {
+  const input = {
+    hireDate: '2018-03-01', exitDate: '2026-04-15', separation: 'termination',
+    basicGross: 15000, allowances: 1000, insurableBase: 15000,
+    unusedLeaveDays: 10, noticeDaysServed: 30, advanceLoan: 5000
+  };
+  const s = engine.computeFinalSettlement(input, RULES);
+
+  assert.equal(s.ok, true);
+  assert.deepEqual([s.service.years, s.service.months, s.service.days], [8, 1, 15]);
+  near(s.dailyWage, 500);
+  assert.equal(s.daysPaid, 15);
+  near(s.proratedSalary, 8000);
+  near(s.leaveEncashment, 5000);
+  assert.equal(s.requiredNoticeDays, 60);
+  near(s.noticePay, 15000);
+  near(s.noticeRecovery, 0);
+  near(s.siMonthly, 1650);
+  near(s.martyrs, 28000 * RULES.martyrsRate);
+
+  const regular = engine.computePayroll({ basicGross: 15000, allowances: 1000, insurableBase: 15000 }, RULES);
+  assert.equal(s.taxDetail.priorMonths, 3);
+  const annualTax = engine.calcAnnualTaxEG(3 * (16000 - 1650) + 28000 - 1650 - RULES.personalExemptionAnnual, RULES);
+  near(s.tax, annualTax - 3 * regular.taxMonthly);
+  near(s.netPayable, 28000 - 1650 - s.tax - s.martyrs - 5000);
+
+  const resigned = engine.computeFinalSettlement(Object.assign({}, input, { separation: 'resignation' }), RULES);
+  near(resigned.noticePay, 0);
+  near(resigned.noticeRecovery, 15000);
+  near(resigned.netPayable, resigned.totalEarnings - resigned.totalDeductions);
+});
+
+test('computeFinalSettlement handles long service, awards, same-month hires and bad dates', () => {
+  const long = engine.computeFinalSettlement({
+    hireDate: '2014-01-01', exitDate: '2026-01-31', separation: 'resignation', basicGross: 12000,
+    insurableBase: 12000, noticeDaysServed: 90, endOfServiceMonthsPerYear: 0.5
+  }, RULES);
+  assert.deepEqual([long.service.years, long.service.months, long.service.days], [12, 1, 0]);
+  assert.equal(long.requiredNoticeDays, 90);
+  assert.equal(long.monthFraction, 1);
+  near(long.endOfServiceAward, 0.5 * 12000 * (12 + 1 / 12));
+  assert.equal(long.taxDetail.priorMonths, 0);
+
+  const short = engine.computeFinalSettlement({
+    hireDate: '2026-06-10', exitDate: '2026-06-19', basicGross: 9000, insurableBase: 9000, daysPaid: ''
+  }, RULES);
+  assert.equal(short.daysPaid, 10);
+  near(short.proratedSalary, 3000);
+
+  assert.equal(engine.computeFinalSettlement({ hireDate: '2026-02-30', exitDate: '2026-03-01' }, RULES).ok, false);
+  assert.equal(engine.computeFinalSettlement({ hireDate: '2026-03-02', exitDate: '2026-03-01' }, RULES).ok, false);
+});
+
+test('buildLoanSchedule splits the principal and keeps take-home above the floor', () => {
+  const base = { basicGross: 10000, allowances: 500, insurableBase: 10000 };
+  const net = engine.computePayroll(base, RULES).netBeforeLoan;
+
+  const even = engine.buildLoanSchedule({ principal: 10000, startMonth: '2026-09', instalments: 3, netFloor: 0 }, base, RULE_SETS);
+  assert.equal(even.ok, true);
+  assert.deepEqual(even.rows.map((r) => r.period), ['2026-09', '2026-10', '2026-11']);
+  assert.deepEqual(even.rows.map((r) => r.instalment), [3333.34, 3333.34, 3333.32]);
+  near(even.totalRepaid, 10000);
+  near(even.rows[2].closing, 0);
+  assert.equal(engine.loanInstalmentFor(even, '2026-10'), 3333.34);
+  assert.equal(engine.loanInstalmentFor(even, '2027-01'), 0);
+
+  // 3,000 planned per month, 1,500 allowed: the schedule stretches to four months.
+  const capped = engine.buildLoanSchedule({ principal: 6000, startMonth: '2026-08', instalments: 2, netFloor: net - 1500 }, base, RULE_SETS);
+  assert.equal(capped.ok, true);
+  assert.deepEqual(capped.rows.map((r) => [r.instalment, r.capped]), [[1500, true], [1500, true], [1500, true], [1500, false]]);
+  assert.ok(capped.rows.every((r) => r.takeHome >= r.netFloor - 1e-9));
+  near(capped.totalRepaid, 6000);
+
+  const nextYear = engine.buildLoanSchedule({ principal: 3000, startMonth: '2027-12', instalments: 2, netFloor: 0 }, base, RULE_SETS);
+  assert.deepEqual(nextYear.rows.map((r) => [r.period, r.rulesYear]), [['2027-12', 2027], ['2028-01', 2027]]);
+
+  const pct = engine.buildLoanSchedule({ principal: 1000, startMonth: '2026-01', mode: 'percentOfNet', percentOfNet: 10, netFloor: 0 }, base, RULE_SETS);
+  near(pct.rows[0].instalment, Math.floor(net * 10) / 100);
+  assert.equal(pct.months, Math.ceil(1000 / pct.rows[0].instalment));
+
+  const never = engine.buildLoanSchedule({ principal: 1000, startMonth: '2026-01', instalments: 1, netFloor: net }, base, RULE_SETS);
+  assert.equal(never.ok, false);
+  assert.match(never.reason, /120 months/);
+});
+
+test('lengthOfService counts completed years, months and days', () => {
+  const s = engine.lengthOfService('2024-08-01', '2026-10-19');
+  assert.deepEqual([s.years, s.months, s.days], [2, 2, 19]);
+  assert.equal(engine.lengthOfService('2026-10-20', '2026-10-19'), null);
+  assert.equal(engine.lengthOfService('', '2026-10-19'), null);
+});
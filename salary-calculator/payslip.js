@@ -0,0 +1,298 @@
+"use strict";
+
+// Payslips
+// - Builds one payslip model from an engine breakdown (single calculation or batch row)
+// - Renders it as HTML for printing (payslip.css) or draws it into a client-side PDF (jsPDF)
+
+// Company details as shown in the portal home footer.
+const COMPANY_INFO = {
+  name: "iEnergy",
+  address: "CPC industrial park, Building 17,40, Northern Extension, Industrial Zone, 6th of October City, Giza, Egypt.",
+  contact: "Tel.: +202 3864 4921 / +202 3864 4922  •  Fax: +202 3864 4921  •  Email: info@ienergyegypt.com"
+};
+
+const PAYSLIP_LOGO_URL = "../logo.jpg";
+
+function currentPayPeriod() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+function fmtPayPeriod(period) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(period || ""));
+  if (!m) return String(period || "");
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, 1);
+  return d.toLocaleString("en-US", { month: "long", year: "numeric" });
+}
+
+// One earnings line per overtime category that was worked; a single zero line otherwise.
+function payslipOvertimeRows(res) {
+  const worked = res.overtime.filter((o) => o.hours > 0);
+  if (!worked.length) return [["Overtime (0 h)", 0]];
+  return worked.map((o) => [`${o.label} (${fmtNumber(o.hours)} h × ${fmtNumber(o.multiplier)})`, o.value]);
+}
+
+/**
+ * Payslip sections from an engine breakdown.
+ * employee: { code, name }, period: "YYYY-MM".
+ */
+function buildPayslipModel(res, employee, period) {
+  const earnings = [
+    ["Basic gross salary", res.basicGross],
+    ["Allowances", res.allowances],
+    ["Incentive", res.incentive],
+    ["Bonus", res.bonus],
+    ...payslipOvertimeRows(res)
+  ];
+  const deductions = [
+    [`Hour deductions (${fmtNumber(res.deductionHours)} h)`, res.hourDeductionValueMonthly],
+    ["Medical insurance", res.medicalInsurance],
+    ["Employee social insurance", res.siMonthly],
+    ["Salary tax", res.taxMonthly],
+    ["Martyrs deduction", res.martyrsMonthly],
+    ["Advance salary loan", res.advanceLoan]
+  ];
+  const employer = [
+    ["Insurable salary base", res.insurableUsed],
+    ["Company social insurance", res.companySiMonthly]
+  ];
+
+  return {
+    employee: { code: String(employee.code || "").trim(), name: String(employee.name || "").trim() },
+    period: fmtPayPeriod(period),
+    year: res.year,
+    earnings,
+    deductions,
+    employer,
+    totalEarnings: res.grossBeforeDeductionsMonthly,
+    totalDeductions: res.grossBeforeDeductionsMonthly - res.netMonthly,
+    net: res.netMonthly
+  };
+}
+
+function payslipRowsHtml(rows) {
+  return rows.map(([label, v]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${fmtNumber(v)}</td></tr>`).join("");
+}
+
+function renderPayslipHtml(m) {
+  return `
+    <article class="payslip">
+      <header class="payslip-head">
+        <div>
+          <h2>Payslip</h2>
+          <div class="payslip-period">${escapeHtml(m.period)} · payroll year ${m.year}</div>
+        </div>
+        <img class="payslip-logo" src="${PAYSLIP_LOGO_URL}" alt="iEnergy logo" />
+      </header>
+
+      <dl class="payslip-employee">
+        <div><dt>Employee code</dt><dd>${escapeHtml(m.employee.code || "—")}</dd></div>
+        <div><dt>Employee name</dt><dd>${escapeHtml(m.employee.name || "—")}</dd></div>
+      </dl>
+
+      <div class="payslip-cols">
+        <table>
+          <thead><tr><th>Earnings</th><th class="num">EGP</th></tr></thead>
+          <tbody>${payslipRowsHtml(m.earnings)}</tbody>
+          <tfoot><tr><td>Total earnings</td><td class="num">${fmtNumber(m.totalEarnings)}</td></tr></tfoot>
+        </table>
+        <table>
+          <thead><tr><th>Deductions</th><th class="num">EGP</th></tr></thead>
+          <tbody>${payslipRowsHtml(m.deductions)}</tbody>
+          <tfoot><tr><td>Total deductions</td><td class="num">${fmtNumber(m.totalDeductions)}</td></tr></tfoot>
+        </table>
+      </div>
+
+      <div class="payslip-net"><span>Net salary</span><strong>${fmtEGP(m.net)}</strong></div>
+
+      <table class="payslip-employer">
+        <thead><tr><th>Employer contributions (not deducted)</th><th class="num">EGP</th></tr></thead>
+        <tbody>${payslipRowsHtml(m.employer)}</tbody>
+      </table>
+
+      <footer class="payslip-foot">
+        <div>${escapeHtml(COMPANY_INFO.address)}</div>
+        <div>${escapeHtml(COMPANY_INFO.contact)}</div>
+      </footer>
+    </article>`;
+}
+
+// Prints the given HTML on its own (payslip.css hides the rest of the page while printing).
+function printDocumentHtml(html) {
+  const host = $("payslipPrint");
+  if (!host) return;
+
+  host.innerHTML = html;
+  document.body.classList.add("printing-payslip");
+  window.addEventListener("afterprint", () => {
+    document.body.classList.remove("printing-payslip");
+    host.innerHTML = "";
+  }, { once: true });
+  window.print();
+}
+
+function printPayslips(models) {
+  if (models.length) printDocumentHtml(models.map(renderPayslipHtml).join(""));
+}
+
+async function loadLogoDataUrl() {
+  try {
+    const resp = await fetch(PAYSLIP_LOGO_URL);
+    if (!resp.ok) return null;
+    const blob = await resp.blob();
+    return await new Promise((resolve) => {
+      const fr = new FileReader();
+      fr.onload = () => resolve(fr.result);
+      fr.onerror = () => resolve(null);
+      fr.readAsDataURL(blob);
+    });
+  } catch (_) {
+    return null;
+  }
+}
+
+function drawPayslipPage(doc, m, logo) {
+  const left = 40;
+  const right = 555;
+  let y = 50;
+
+  if (logo) {
+    try { doc.addImage(logo, "JPEG", right - 150, 28, 150, 40); } catch (_) {}
+  }
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(20);
+  doc.text("Payslip", left, y);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  doc.text(`${m.period} · payroll year ${m.year}`, left, y + 16);
+
+  y += 50;
+  doc.text(`Employee code: ${m.employee.code || "—"}`, left, y);
+  doc.text(`Employee name: ${m.employee.name || "—"}`, left + 250, y);
+
+  const section = (title, rows, totalLabel, total) => {
+    y += 28;
+    doc.setFont("helvetica", "bold");
+    doc.text(title, left, y);
+    doc.text("EGP", right, y, { align: "right" });
+    doc.setFont("helvetica", "normal");
+    doc.line(left, y + 4, right, y + 4);
+    rows.forEach(([label, v]) => {
+      y += 16;
+      doc.text(label, left, y);
+      doc.text(fmtNumber(v), right, y, { align: "right" });
+    });
+    if (totalLabel) {
+      y += 18;
+      doc.setFont("helvetica", "bold");
+      doc.text(totalLabel, left, y);
+      doc.text(fmtNumber(total), right, y, { align: "right" });
+      doc.setFont("helvetica", "normal");
+    }
+  };
+
+  section("Earnings", m.earnings, "Total earnings", m.totalEarnings);
+  section("Deductions", m.deductions, "Total deductions", m.totalDeductions);
+
+  y += 30;
+  doc.setFontSize(13);
+  doc.setFont("helvetica", "bold");
+  doc.text("Net salary", left, y);
+  doc.text(fmtEGP(m.net), right, y, { align: "right" });
+  doc.setFontSize(10);
+  doc.setFont("helvetica", "normal");
+
+  section("Employer contributions (not deducted)", m.employer);
+
+  doc.setFontSize(8);
+  doc.text(doc.splitTextToSize(COMPANY_INFO.address, right - left), left, 790);
+  doc.text(COMPANY_INFO.contact, left, 810);
+}
+
+async function downloadPayslipsPdf(models, filename) {
+  if (!models.length) return;
+  if (typeof window.__ensureJsPDF === "function") await window.__ensureJsPDF();
+  if (!window.jspdf || !window.jspdf.jsPDF) throw new Error("The PDF library could not be loaded. Check your connection and try again.");
+
+  const doc = new window.jspdf.jsPDF({ unit: "pt", format: "a4" });
+  const logo = await loadLogoDataUrl();
+  models.forEach((m, i) => {
+    if (i > 0) doc.addPage();
+    drawPayslipPage(doc, m, logo);
+  });
+  doc.save(filename);
+}
+
+function slugForFile(s) {
+  return String(s || "").trim().replace(/[^A-Za-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// -----------------------------
+// Single calculation
+// -----------------------------
+function singlePayslipModel() {
+  if (!lastCalculation) {
+    showErrors(["Please calculate a salary first, then generate the payslip."]);
+    return null;
+  }
+  const employee = { code: $("payslipCode") ? $("payslipCode").value : "", name: $("payslipName") ? $("payslipName").value : "" };
+  const period = ($("payslipPeriod") && $("payslipPeriod").value) || currentPayPeriod();
+  return buildPayslipModel(lastCalculation, employee, period);
+}
+
+async function downloadSinglePayslip() {
+  const m = singlePayslipModel();
+  if (!m) return;
+  try {
+    const who = slugForFile(m.employee.code || m.employee.name) || "employee";
+    await downloadPayslipsPdf([m], `payslip-${who}-${slugForFile(m.period)}.pdf`);
+  } catch (e) {
+    showErrors([e && e.message ? e.message : "Unable to create the PDF."]);
+  }
+}
+
+// -----------------------------
+// Batch run
+// -----------------------------
+function batchPayslipModels() {
+  const period = ($("payslipPeriod") && $("payslipPeriod").value) || currentPayPeriod();
+  return batchResults.filter((r) => r.res).map((r) => buildPayslipModel(r.res, r, period));
+}
+
+async function downloadBatchPayslips() {
+  const models = batchPayslipModels();
+  if (!models.length) {
+    setBatchStatus("There are no valid batch rows to generate payslips for.", true);
+    return;
+  }
+  try {
+    setBatchStatus(`Creating ${models.length} payslip(s)...`, false);
+    await downloadPayslipsPdf(models, `payslips-${slugForFile(models[0].period)}.pdf`);
+    setBatchStatus(`${models.length} payslip(s) downloaded.`, false);
+  } catch (e) {
+    setBatchStatus(e && e.message ? e.message : "Unable to create the PDF.", true);
+  }
+}
+
+function initPayslipBindings() {
+  const period = $("payslipPeriod");
+  if (period && !period.value) period.value = currentPayPeriod();
+
+  const bind = (id, fn) => {
+    const el = $(id);
+    if (el) el.addEventListener("click", fn);
+  };
+  bind("btnPayslipPrint", () => {
+    const m = singlePayslipModel();
+    if (m) printPayslips([m]);
+  });
+  bind("btnPayslipPdf", downloadSinglePayslip);
+  bind("btnBatchPayslipsPrint", () => {
+    const models = batchPayslipModels();
+    if (models.length) printPayslips(models);
+    else setBatchStatus("There are no valid batch rows to generate payslips for.", true);
+  });
+  bind("btnBatchPayslipsPdf", downloadBatchPayslips);
+}
+
+document.addEventListener("DOMContentLoaded", initPayslipBindings);
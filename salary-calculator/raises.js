@@ -0,0 +1,262 @@
+"use strict";
+
+// Raise simulator
+// - Projects the regular package from the calculator form (basic gross, allowances, incentive, medical
+//   insurance, insurable base, hours divisor) over several payroll years with a yearly raise
+// - Raises are a percentage or a fixed amount, set per component; each year uses its own rules and caps
+// - Charts how each year's gross raise splits into net pay, tax, employee SI and the martyrs deduction
+
+const RAISE_MAX_YEARS = 10;
+const RAISE_DEFAULT_YEARS = 3;
+
+// Raised components: [engine field, raise input id, validation label].
+const RAISE_COMPONENTS = [
+  ["basicGross", "raiseBasicGross", "Basic gross raise"],
+  ["allowances", "raiseAllowances", "Allowances raise"],
+  ["incentive", "raiseIncentive", "Incentive raise"]
+];
+
+// Stacked chart segments: [delta key, legend label, colour]. Together they make up the gross raise.
+const RAISE_CHART_PARTS = [
+  ["net", "Net to employee", "#3ecf8e"],
+  ["tax", "Salary tax", "#ff8a65"],
+  ["employeeSi", "Employee SI", "#8fb0ff"],
+  ["martyrs", "Martyrs", "#ffd27a"]
+];
+
+let lastRaiseSimulation = null;
+
+function setRaiseStatus(msg, isError) {
+  const el = $("raiseStatus");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("status-error", !!isError);
+}
+
+function clearRaiseResults() {
+  lastRaiseSimulation = null;
+  const results = $("raiseResults");
+  if (results) results.hidden = true;
+  const btnExport = $("btnRaiseExport");
+  if (btnExport) btnExport.disabled = true;
+  setRaiseStatus("", false);
+}
+
+function simulateRaisesFromForm() {
+  const errs = [];
+  const rules = getActiveRules();
+  if (!rules) {
+    clearRaiseResults();
+    showErrorsIn("errorsRaise", [RULES_NOT_LOADED_MSG]);
+    return;
+  }
+
+  // Bonus, overtime, deductions and loan are one-off items; only the regular package is projected.
+  const base = readBasePackage();
+  IEnergyPayroll.MONTH_FIELDS.forEach((k) => { base[k] = 0; });
+  validatePayrollInput(base, rules, errs);
+
+  const mode = $("raiseMode") ? $("raiseMode").value : "percent";
+  const raises = {};
+  RAISE_COMPONENTS.forEach(([field, id, label]) => {
+    raises[field] = parseNumber($(id) ? $(id).value : "");
+    validateNonNegative(label, raises[field], errs);
+  });
+
+  const yearsRaw = String(($("raiseYears") && $("raiseYears").value) || "").trim();
+  const years = yearsRaw === "" ? RAISE_DEFAULT_YEARS : parseNumber(yearsRaw);
+  if (!Number.isInteger(years) || years < 2 || years > RAISE_MAX_YEARS) {
+    errs.push(`Years to project must be a whole number between 2 and ${RAISE_MAX_YEARS}.`);
+  }
+
+  if (errs.length) {
+    clearRaiseResults();
+    showErrorsIn("errorsRaise", errs);
+    return;
+  }
+
+  const plan = {
+    startYear: rules.year,
+    years,
+    mode,
+    raises,
+    insurableFollowsBasic: !!($("raiseInsurableFollowsBasic") && $("raiseInsurableFollowsBasic").checked)
+  };
+  const sim = IEnergyPayroll.simulateRaises(base, plan, payrollRules);
+  if (!sim.ok) {
+    clearRaiseResults();
+    showErrorsIn("errorsRaise", [`${sim.year}: ${sim.reason}`]);
+    return;
+  }
+
+  showErrorsIn("errorsRaise", []);
+  lastRaiseSimulation = { plan, rows: sim.rows };
+  renderRaiseResults(sim.rows);
+}
+
+function fmtRaiseDelta(d) {
+  if (!Number.isFinite(d) || Math.abs(d) < 0.005) return "±0";
+  return (d > 0 ? "+" : "−") + fmtNumber(Math.abs(d));
+}
+
+function raiseYearLabel(row) {
+  return row.rulesYear === row.year ? String(row.year) : `${row.year} (${row.rulesYear} rules)`;
+}
+
+function renderRaiseResults(rows) {
+  const body = $("raiseBody");
+  if (body) {
+    body.innerHTML = rows.map((r) => {
+      const res = r.result;
+      const d = r.delta;
+      return `
+    <tr${d ? "" : ' class="muted-row"'}>
+      <td>${escapeHtml(raiseYearLabel(r))}${d ? "" : " · current"}</td>
+      <td class="num">${fmtNumber(res.basicGross)}</td>
+      <td class="num">${fmtNumber(res.insurableBase)}</td>
+      <td class="num">${fmtNumber(res.grossMonthly)}</td>
+      <td class="num">${fmtNumber(res.siMonthly)}</td>
+      <td class="num">${fmtNumber(res.taxMonthly)}</td>
+      <td class="num">${fmtNumber(res.netMonthly)}</td>
+      <td class="num">${fmtNumber(res.companySiMonthly)}</td>
+      <td class="num">${fmtNumber(res.employerCostMonthly)}</td>
+      <td class="num">${d ? fmtRaiseDelta(d.gross) : "—"}</td>
+      <td class="num">${d ? fmtRaiseDelta(d.net) : "—"}</td>
+      <td class="num">${d ? fmtPct(d.netShare, 1) : "—"}</td>
+    </tr>`;
+    }).join("");
+  }
+
+  const chart = $("raiseChart");
+  if (chart) chart.innerHTML = buildRaiseChartSvg(rows);
+
+  const results = $("raiseResults");
+  if (results) results.hidden = false;
+  const btnExport = $("btnRaiseExport");
+  if (btnExport) btnExport.disabled = false;
+
+  const reused = rows.filter((r) => r.rulesYear !== r.year);
+  setRaiseStatus(reused.length
+    ? `No payroll rules are published for ${reused.map((r) => r.year).join(", ")} yet; the ${reused[0].rulesYear} rules are used instead.`
+    : "", false);
+}
+
+// Stacked bar per raise year, built as inline SVG (no chart library on this page).
+// Negative parts (e.g. tax falling after a bracket change) are not drawn; the table shows them.
+function buildRaiseChartSvg(rows) {
+  const steps = rows.filter((r) => r.delta);
+  if (!steps.length) return "";
+
+  const W = 640;
+  const H = 260;
+  const pad = { top: 26, right: 12, bottom: 30, left: 58 };
+  const plotW = W - pad.left - pad.right;
+  const plotH = H - pad.top - pad.bottom;
+
+  const positive = (n) => (Number.isFinite(n) && n > 0 ? n : 0);
+  const stackHeight = (d) => RAISE_CHART_PARTS.reduce((sum, [key]) => sum + positive(d[key]), 0);
+  const max = Math.max(1, ...steps.map((r) => stackHeight(r.delta)));
+  const y = (v) => pad.top + plotH - (v / max) * plotH;
+
+  const slot = plotW / steps.length;
+  const barW = Math.min(64, slot * 0.6);
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map((f) => {
+    const gy = y(max * f).toFixed(1);
+    return `<line x1="${pad.left}" x2="${W - pad.right}" y1="${gy}" y2="${gy}" class="raise-chart-grid" />` +
+      `<text x="${pad.left - 6}" y="${gy}" text-anchor="end" dominant-baseline="middle">${fmtNumber(max * f, 0)}</text>`;
+  }).join("");
+
+  const bars = steps.map((r, i) => {
+    const x = pad.left + slot * i + (slot - barW) / 2;
+    let acc = 0;
+    const segments = RAISE_CHART_PARTS.map(([key, label, colour]) => {
+      const v = positive(r.delta[key]);
+      if (!v) return "";
+      const top = y(acc + v);
+      const h = y(acc) - top;
+      acc += v;
+      return `<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" fill="${colour}">` +
+        `<title>${r.year} · ${escapeHtml(label)}: ${fmtNumber(r.delta[key])} EGP</title></rect>`;
+    }).join("");
+    const cx = (x + barW / 2).toFixed(1);
+    return segments +
+      `<text x="${cx}" y="${(y(acc) - 6).toFixed(1)}" text-anchor="middle" class="raise-chart-share">${fmtPct(r.delta.netShare, 0)}</text>` +
+      `<text x="${cx}" y="${H - pad.bottom + 18}" text-anchor="middle">${r.year}</text>`;
+  }).join("");
+
+  const legend = RAISE_CHART_PARTS.map(([, label, colour]) =>
+    `<span><i style="background:${colour}"></i>${escapeHtml(label)}</span>`
+  ).join("");
+
+  return `<svg viewBox="0 0 ${W} ${H}" role="img" aria-label="Split of each year's gross raise into net pay, salary tax, employee SI and martyrs deduction">` +
+    `${grid}${bars}</svg>` +
+    `<div class="raise-chart-legend">${legend}<span>Percentages: share of the gross raise that reaches the employee.</span></div>`;
+}
+
+function buildRaiseSheetRows(sim) {
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const unit = sim.plan.mode === "fixed" ? "EGP" : "%";
+  return [
+    ["Raise type", sim.plan.mode === "fixed" ? "Fixed amount per year" : "Percentage per year"],
+    ...RAISE_COMPONENTS.map(([field, , label]) => [`${label} (${unit})`, sim.plan.raises[field]]),
+    ["Insurable base follows basic gross", sim.plan.insurableFollowsBasic ? "Yes" : "No"],
+    [],
+    ["Year", "Rules year", "Basic Gross", "Allowances", "Incentive", "Insurable Base", "Gross", "Employee SI", "Salary Tax",
+      "Martyrs", "Net Salary", "Company SI", "Employer Cost", "Gross Raise", "Net Raise", "Share Reaching Employee"],
+    ...sim.rows.map((r) => {
+      const res = r.result;
+      const d = r.delta;
+      return [
+        r.year, r.rulesYear,
+        round2(res.basicGross), round2(res.allowances), round2(res.incentive), round2(res.insurableBase),
+        round2(res.grossMonthly), round2(res.siMonthly), round2(res.taxMonthly), round2(res.martyrsMonthly),
+        round2(res.netMonthly), round2(res.companySiMonthly), round2(res.employerCostMonthly),
+        d ? round2(d.gross) : "", d ? round2(d.net) : "", d && d.netShare != null ? Math.round(d.netShare * 10000) / 10000 : ""
+      ];
+    })
+  ];
+}
+
+async function exportRaiseSimulation() {
+  if (!lastRaiseSimulation) return;
+  try {
+    if (typeof window.__ensureXLSX === "function") await window.__ensureXLSX();
+    if (!window.XLSX) throw new Error("The Excel library could not be loaded. Check your connection and try again.");
+
+    const ws = XLSX.utils.aoa_to_sheet(buildRaiseSheetRows(lastRaiseSimulation));
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, "Raise Simulation");
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    XLSX.writeFile(wb, `salary-raise-simulation-${stamp}.xlsx`);
+  } catch (e) {
+    setRaiseStatus(e && e.message ? e.message : "Unable to export the raise simulation.", true);
+  }
+}
+
+function initRaiseBindings() {
+  const bind = (id, fn) => {
+    const el = $(id);
+    if (el) el.addEventListener("click", fn);
+  };
+  bind("btnRaiseSimulate", simulateRaisesFromForm);
+  bind("btnRaiseExport", exportRaiseSimulation);
+
+  ["raiseBasicGross", "raiseAllowances", "raiseIncentive", "raiseYears"].forEach((id) => {
+    const el = $(id);
+    if (!el) return;
+    el.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        simulateRaisesFromForm();
+      }
+    });
+  });
+
+  // Switching between percent and fixed makes the previous figures meaningless.
+  const mode = $("raiseMode");
+  if (mode) mode.addEventListener("change", clearRaiseResults);
+}
+
+document.addEventListener("DOMContentLoaded", initRaiseBindings);
@@ -0,0 +1,95 @@
+/* Salary workbook parsing tests (salary-query/salary-sheets.js)
+   Run with: node --test salary-calculator/salary-sheets.test.js
+*/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const sheets = require('../salary-query/salary-sheets.js');
+
+test('toPeriodDate reads numeric periods, month names and bare years', () => {
+  assert.equal(sheets.toPeriodDate('2025-03'), '2025-03-01');
+  assert.equal(sheets.toPeriodDate('2025/3'), '2025-03-01');
+  assert.equal(sheets.toPeriodDate('2025_03_15'), '2025-03-15');
+  assert.equal(sheets.toPeriodDate('Mar 2025'), '2025-03-01');
+  assert.equal(sheets.toPeriodDate('March-2025'), '2025-03-01');
+  assert.equal(sheets.toPeriodDate('2025 Sept'), '2025-09-01');
+  assert.equal(sheets.toPeriodDate(' 2025 '), '2025-01-01');
+  assert.equal(sheets.toPeriodDate(2025), '2025-01-01');
+});
+
+test('toPeriodDate reads Excel serials and dates, and rejects other names', () => {
+  assert.equal(sheets.toPeriodDate(45717), '2025-03-01');
+  assert.equal(sheets.toPeriodDate(new Date(Date.UTC(2024, 6, 1))), '2024-07-01');
+
+  ['', 'Sheet1', 'Notes', '2025-13', 'Foo 2025', '25-03', null, undefined].forEach((v) => {
+    assert.equal(sheets.toPeriodDate(v), '', String(v));
+  });
+});
+
+test('salaryTimeline keeps changes only, the last entry of a date wins', () => {
+  const timeline = sheets.salaryTimeline([
+    { date: '2024-01-01', basicGross: 10000, insurableBase: 8000 },
+    { date: '2024-06-01', basicGross: 10000, insurableBase: 8000 },
+    { date: '2025-01-01', basicGross: 11000, insurableBase: 8000 },
+    { date: '2025-01-01', basicGross: 12000, insurableBase: 9000 },
+    { date: '2025-06-01', basicGross: 12000, insurableBase: null }
+  ]);
+
+  assert.deepEqual(timeline.map((p) => p.date), ['2024-01-01', '2025-01-01', '2025-06-01']);
+  assert.equal(timeline[0].basicGrossChangePct, null);
+  assert.equal(timeline[0].insurableChangePct, null);
+  assert.equal(timeline[1].basicGross, 12000);
+  assert.ok(Math.abs(timeline[1].basicGrossChangePct - 0.2) < 1e-9);
+  assert.ok(Math.abs(timeline[1].insurableChangePct - 0.125) < 1e-9);
+  assert.equal(timeline[2].basicGrossChangePct, 0);
+  assert.equal(timeline[2].insurableChangePct, null);
+});
+
+test('salaryTimeline reports no change percentage from a zero value', () => {
+  const timeline = sheets.salaryTimeline([
+    { date: '2024-01-01', basicGross: 0, insurableBase: 0 },
+    { date: '2025-01-01', basicGross: 9000, insurableBase: 7000 }
+  ]);
+  assert.equal(timeline[1].basicGrossChangePct, null);
+  assert.equal(timeline[1].insurableChangePct, null);
+});
+
+const row = (code, basicGross, extra) => Object.assign({ EmployeeCode: code, BasicGrossSalary: basicGross }, extra);
+
+test('readSalarySheets uses the latest period sheet and ignores sheets without a code column', () => {
+  const { rows, history } = sheets.readSalarySheets([
+    { name: 'Notes', rows: [{ Note: 'Raises effective in March' }] },
+    { name: '2025-03', rows: [row('101', 12000)] },
+    { name: 'Jan 2025', rows: [row('101', 10000)] },
+    { name: 'Lookup', rows: [{ Grade: 'A', Min: 9000 }] }
+  ]);
+
+  assert.deepEqual(rows, [row('101', 12000)]);
+  assert.deepEqual(history.map((h) => [h.date, h.source]), [['2025-01-01', 'Jan 2025'], ['2025-03-01', '2025-03']]);
+});
+
+test('readSalarySheets prefers an undated sheet with a code column as the current list', () => {
+  const { rows, history } = sheets.readSalarySheets([
+    { name: '2024', rows: [row('101', 9000)] },
+    { name: 'Salaries', rows: [row('101', 12000), row('102', 8000)] }
+  ]);
+
+  assert.equal(rows.length, 2);
+  assert.equal(history.length, 1);
+});
+
+test('readSalarySheets takes the latest row per employee of a history table', () => {
+  const { rows, history } = sheets.readSalarySheets([
+    { name: 'History', rows: [
+      row('101', 12000, { EffectiveDate: '2025-03' }),
+      row('101', 10000, { EffectiveDate: 'Jan 2025' }),
+      row('102', 8000, { EffectiveDate: '2024' })
+    ] }
+  ]);
+
+  assert.deepEqual(history.map((h) => h.date), ['2024-01-01', '2025-01-01', '2025-03-01']);
+  const current = rows.map((r) => [r.EmployeeCode, r.BasicGrossSalary]).sort();
+  assert.deepEqual(current, [['101', 12000], ['102', 8000]]);
+});
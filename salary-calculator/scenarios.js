@@ -0,0 +1,254 @@
+"use strict";
+
+// Scenario comparison
+// - Saves the last calculation as a named scenario (inputs + key figures) in localStorage
+// - Shows saved scenarios side by side with deltas against a baseline scenario
+// - Exports the comparison to Excel
+
+const SCENARIOS_STORAGE_KEY = "ienergy_salary_scenarios_v1";
+
+// Compared figures: [label, breakdown key]. Deltas are shown for every figure.
+const SCENARIO_METRICS = [
+  ["Basic gross", "basicGross"],
+  ["Gross after deductions", "grossAfterMedicalMonthly"],
+  ["Net salary", "netMonthly"],
+  ["Salary tax", "taxMonthly"],
+  ["Employee SI", "siMonthly"],
+  ["Company SI", "companySiMonthly"],
+  ["Employer cost", "employerCostMonthly"]
+];
+
+let scenarios = [];
+let scenarioBaselineId = null;
+
+function loadScenarios() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SCENARIOS_STORAGE_KEY) || "null");
+    scenarios = saved && Array.isArray(saved.scenarios) ? saved.scenarios : [];
+    scenarioBaselineId = saved ? saved.baselineId : null;
+  } catch (_) {
+    scenarios = [];
+    scenarioBaselineId = null;
+  }
+}
+
+function storeScenarios() {
+  try {
+    localStorage.setItem(SCENARIOS_STORAGE_KEY, JSON.stringify({ baselineId: scenarioBaselineId, scenarios }));
+    return true;
+  } catch (_) {
+    setScenarioStatus("Scenarios could not be saved in this browser (storage is full or disabled).", true);
+    return false;
+  }
+}
+
+function setScenarioStatus(msg, isError) {
+  const el = $("scenarioStatus");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("status-error", !!isError);
+}
+
+// The baseline falls back to the first scenario when it was removed.
+function baselineScenario() {
+  return scenarios.find((s) => s.id === scenarioBaselineId) || scenarios[0] || null;
+}
+
+function fmtDelta(d) {
+  if (!Number.isFinite(d) || Math.abs(d) < 0.005) return "±0";
+  return (d > 0 ? "+" : "−") + fmtNumber(Math.abs(d));
+}
+
+function saveScenario() {
+  if (!lastCalculation) {
+    setScenarioStatus("Please calculate a salary first, then save it as a scenario.", true);
+    return;
+  }
+
+  const nameEl = $("scenarioName");
+  const name = (nameEl && nameEl.value.trim()) || `Scenario ${scenarios.length + 1}`;
+  const res = lastCalculation;
+
+  const input = {};
+  CALCULATOR_FIELDS.forEach((k) => { input[k] = res[k]; });
+  const figures = {};
+  SCENARIO_METRICS.forEach(([, key]) => { figures[key] = res[key]; });
+
+  const scenario = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    savedAt: new Date().toISOString(),
+    year: res.year,
+    input,
+    figures
+  };
+
+  // Saving under an existing name replaces that scenario in place.
+  const existing = scenarios.findIndex((s) => s.name.toLowerCase() === name.toLowerCase());
+  if (existing >= 0) {
+    scenario.id = scenarios[existing].id;
+    scenarios[existing] = scenario;
+  } else {
+    scenarios.push(scenario);
+  }
+
+  if (!storeScenarios()) return;
+  if (nameEl) nameEl.value = "";
+  renderScenarios();
+  setScenarioStatus(existing >= 0 ? `Scenario "${name}" updated.` : `Scenario "${name}" saved.`, false);
+}
+
+function renderScenarios() {
+  const wrap = $("scenarioTableWrap");
+  const head = $("scenarioHead");
+  const body = $("scenarioBody");
+  const btnExport = $("btnScenarioExport");
+  const btnClear = $("btnScenarioClear");
+  if (btnExport) btnExport.disabled = !scenarios.length;
+  if (btnClear) btnClear.disabled = !scenarios.length;
+  if (!wrap || !head || !body) return;
+
+  wrap.hidden = !scenarios.length;
+  if (!scenarios.length) {
+    head.innerHTML = "";
+    body.innerHTML = "";
+    return;
+  }
+
+  const base = baselineScenario();
+  head.innerHTML = `<tr><th>Figure (EGP / month)</th>${scenarios.map((s) => `
+    <th class="num">
+      <div class="scenario-name">${escapeHtml(s.name)}${s.id === base.id ? ' <span class="badge">baseline</span>' : ""}</div>
+      <div class="scenario-meta">Payroll year ${s.year}</div>
+      <div class="scenario-actions">
+        <button type="button" class="link" data-action="load" data-id="${s.id}">Load</button>
+        ${s.id === base.id ? "" : `<button type="button" class="link" data-action="baseline" data-id="${s.id}">Baseline</button>`}
+        <button type="button" class="link" data-action="remove" data-id="${s.id}">Remove</button>
+      </div>
+    </th>`).join("")}</tr>`;
+
+  body.innerHTML = SCENARIO_METRICS.map(([label, key]) => {
+    const cells = scenarios.map((s) => {
+      const v = s.figures[key];
+      const delta = s.id === base.id ? "" : `<div class="delta">${fmtDelta(v - base.figures[key])}</div>`;
+      return `<td class="num">${fmtNumber(v)}${delta}</td>`;
+    }).join("");
+    return `<tr><td>${escapeHtml(label)}</td>${cells}</tr>`;
+  }).join("");
+}
+
+function onScenarioAction(e) {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const s = scenarios.find((x) => x.id === btn.getAttribute("data-id"));
+  if (!s) return;
+
+  const action = btn.getAttribute("data-action");
+  if (action === "load") {
+    fillCalculatorForm(s.input, s.year);
+    calculate();
+    setScenarioStatus(`Scenario "${s.name}" loaded into the calculator.`, false);
+    return;
+  }
+  if (action === "baseline") {
+    scenarioBaselineId = s.id;
+  } else if (action === "remove") {
+    scenarios = scenarios.filter((x) => x.id !== s.id);
+  }
+  storeScenarios();
+  renderScenarios();
+  setScenarioStatus("", false);
+}
+
+function clearScenarios() {
+  if (!scenarios.length) return;
+  if (!window.confirm("Remove all saved scenarios?")) return;
+  scenarios = [];
+  scenarioBaselineId = null;
+  storeScenarios();
+  renderScenarios();
+  setScenarioStatus("All scenarios removed.", false);
+}
+
+// One column per scenario; each non-baseline scenario gets a delta column next to it.
+function buildScenarioSheetRows() {
+  const base = baselineScenario();
+  const header = ["Figure (EGP / month)"];
+  scenarios.forEach((s) => {
+    header.push(s.id === base.id ? `${s.name} (baseline)` : s.name);
+    if (s.id !== base.id) header.push(`${s.name} vs ${base.name}`);
+  });
+
+  const row = (label, valueOf, withDelta) => {
+    const out = [label];
+    scenarios.forEach((s) => {
+      out.push(valueOf(s));
+      if (s.id !== base.id) out.push(withDelta ? Math.round((valueOf(s) - valueOf(base)) * 100) / 100 : "");
+    });
+    return out;
+  };
+  const round2 = (n) => Math.round(n * 100) / 100;
+
+  return [
+    header,
+    row("Payroll year", (s) => s.year, false),
+    ...SCENARIO_METRICS.map(([label, key]) => row(label, (s) => round2(s.figures[key]), true)),
+    [],
+    ["Inputs"],
+    row("Allowances", (s) => s.input.allowances, false),
+    row("Incentive", (s) => s.input.incentive, false),
+    row("Bonus", (s) => s.input.bonus, false),
+    row("Day overtime hours", (s) => s.input.overtimeHours, false),
+    row("Night overtime hours", (s) => s.input.nightOvertimeHours || 0, false),
+    row("Rest-day hours", (s) => s.input.restDayHours || 0, false),
+    row("Public-holiday hours", (s) => s.input.publicHolidayHours || 0, false),
+    row("Deduction hours", (s) => s.input.deductionHours, false),
+    row("Monthly hours divisor", (s) => s.input.monthlyHoursDivisor || "", false),
+    row("Medical insurance", (s) => s.input.medicalInsurance, false),
+    row("Advance loan", (s) => s.input.advanceLoan, false),
+    row("Insurable base", (s) => s.input.insurableBase, false)
+  ];
+}
+
+async function exportScenarios() {
+  if (!scenarios.length) return;
+  try {
+    if (typeof window.__ensureXLSX === "function") await window.__ensureXLSX();
+    if (!window.XLSX) throw new Error("The Excel library could not be loaded. Check your connection and try again.");
+
+    const ws = XLSX.utils.aoa_to_sheet(buildScenarioSheetRows());
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, ws, "Scenarios");
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    XLSX.writeFile(wb, `salary-scenarios-${stamp}.xlsx`);
+  } catch (e) {
+    setScenarioStatus(e && e.message ? e.message : "Unable to export the scenarios.", true);
+  }
+}
+
+function initScenarioBindings() {
+  loadScenarios();
+  renderScenarios();
+
+  const bind = (id, fn) => {
+    const el = $(id);
+    if (el) el.addEventListener("click", fn);
+  };
+  bind("btnScenarioSave", saveScenario);
+  bind("btnScenarioExport", exportScenarios);
+  bind("btnScenarioClear", clearScenarios);
+  bind("scenarioTableWrap", onScenarioAction);
+
+  const name = $("scenarioName");
+  if (name) {
+    name.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        saveScenario();
+      }
+    });
+  }
+}
+
+document.addEventListener("DOMContentLoaded", initScenarioBindings);
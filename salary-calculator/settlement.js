@@ -0,0 +1,253 @@
+"use strict";
+
+// Final settlement
+// - End-of-service pay statement: pro-rated exit month, leave encashment, notice pay or recovery,
+//   optional end-of-service award, outstanding loan, SI, martyrs and the year's tax true-up
+// - Uses the payroll rules of the exit year (not the payroll year selected above)
+// - Prints a settlement letter through the payslip print host (payslip.js / payslip.css)
+
+const SETTLEMENT_SEPARATION_LABELS = {
+  resignation: "resignation",
+  termination: "termination of employment by the company"
+};
+
+let lastSettlement = null;
+
+function fmtSettlementDate(iso) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return String(iso || "");
+  return d.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+function fmtServiceLength(service) {
+  const part = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+  return [part(service.years, "year"), part(service.months, "month"), part(service.days, "day")].join(", ");
+}
+
+// Statement lines shared by the on-screen table and the printed letter: [label, EGP].
+function settlementLines(s) {
+  const earnings = [
+    [`Salary for the exit month (${fmtNumber(s.daysPaid)} day(s))`, s.proratedSalary],
+    [`Unused leave (${fmtNumber(s.unusedLeaveDays)} day(s) × ${fmtNumber(s.dailyWage)})`, s.leaveEncashment]
+  ];
+  if (s.noticePay > 0) earnings.push([`Pay in lieu of notice (${fmtNumber(s.noticeShortfallDays)} day(s))`, s.noticePay]);
+  if (s.endOfServiceAward > 0) {
+    earnings.push([`End-of-service award (${fmtNumber(s.endOfServiceMonthsPerYear)} month(s) per service year)`, s.endOfServiceAward]);
+  }
+
+  const deductions = [];
+  if (s.noticeRecovery > 0) deductions.push([`Notice period not served (${fmtNumber(s.noticeShortfallDays)} day(s))`, s.noticeRecovery]);
+  deductions.push(
+    ["Medical insurance", s.medicalInsurance],
+    ["Employee social insurance", s.siMonthly],
+    [s.tax < 0 ? "Salary tax refund (year-end true-up)" : "Salary tax (year-end true-up)", s.tax],
+    ["Martyrs deduction", s.martyrs],
+    ["Outstanding advance loan", s.advanceLoan]
+  );
+  return { earnings, deductions };
+}
+
+function setSettlementPrintEnabled(enabled) {
+  const btn = $("btnSettlementPrint");
+  if (btn) btn.disabled = !enabled;
+}
+
+function clearSettlementResults() {
+  lastSettlement = null;
+  const results = $("settlementResults");
+  if (results) results.hidden = true;
+  setSettlementPrintEnabled(false);
+}
+
+function calculateSettlement() {
+  const errs = [];
+  if (!payrollRules) {
+    clearSettlementResults();
+    showErrorsIn("errorsSettlement", [RULES_NOT_LOADED_MSG]);
+    return;
+  }
+
+  const hireDate = String($("settlementHireDate").value || "").trim();
+  const exitDate = String($("settlementExitDate").value || "").trim();
+  if (!hireDate) errs.push("Please enter the hire date.");
+  if (!exitDate) errs.push("Please enter the exit date.");
+
+  const exitYear = Number(exitDate.slice(0, 4));
+  const rules = exitDate ? payrollRules[exitYear] : null;
+  if (exitDate && !rules) errs.push(`There are no payroll rules for ${exitDate.slice(0, 4)} in payroll-rules.json.`);
+
+  const daysPaidRaw = String($("settlementDaysPaid").value || "").trim();
+  const input = {
+    hireDate,
+    exitDate,
+    separation: $("settlementSeparation").value,
+    basicGross: parseNumber($("settlementBasicGross").value),
+    allowances: parseNumber($("settlementAllowances").value),
+    incentive: parseNumber($("settlementIncentive").value),
+    insurableBase: parseNumber($("settlementInsurableBase").value),
+    medicalInsurance: parseNumber($("settlementMedicalInsurance").value),
+    advanceLoan: parseNumber($("settlementAdvanceLoan").value),
+    unusedLeaveDays: parseNumber($("settlementLeaveDays").value),
+    noticeDaysServed: parseNumber($("settlementNoticeServed").value),
+    endOfServiceMonthsPerYear: parseNumber($("settlementAwardMonths").value),
+    daysPaid: daysPaidRaw === "" ? null : parseNumber(daysPaidRaw)
+  };
+
+  validateNonNegative("Last basic gross salary", input.basicGross, errs);
+  if (Number.isFinite(input.basicGross) && input.basicGross === 0) errs.push("Last basic gross salary must be more than 0.");
+  validateNonNegative("Allowances", input.allowances, errs);
+  validateNonNegative("Incentive", input.incentive, errs);
+  validateNonNegative("Medical insurance", input.medicalInsurance, errs);
+  validateNonNegative("Outstanding advance loan", input.advanceLoan, errs);
+  validateNonNegative("Unused leave days", input.unusedLeaveDays, errs);
+  validateNonNegative("Notice period served", input.noticeDaysServed, errs);
+  validateNonNegative("End-of-service award", input.endOfServiceMonthsPerYear, errs);
+  validateNonNegative("Insurable base", input.insurableBase, errs);
+  if (rules) validateRangeInclusive("Insurable base", input.insurableBase, rules.insurableBaseMin, rules.insurableBaseMax, errs);
+  if (input.daysPaid != null && (!Number.isInteger(input.daysPaid) || input.daysPaid < 0 || input.daysPaid > 31)) {
+    errs.push("Days paid in the exit month must be a whole number between 0 and 31.");
+  }
+
+  if (errs.length) {
+    clearSettlementResults();
+    showErrorsIn("errorsSettlement", errs);
+    return;
+  }
+
+  const s = IEnergyPayroll.computeFinalSettlement(input, rules);
+  if (!s.ok) {
+    clearSettlementResults();
+    showErrorsIn("errorsSettlement", [s.reason]);
+    return;
+  }
+
+  showErrorsIn("errorsSettlement", []);
+  lastSettlement = Object.assign({}, s, {
+    employee: { code: $("settlementCode").value.trim(), name: $("settlementName").value.trim() }
+  });
+  renderSettlement(s);
+}
+
+function renderSettlement(s) {
+  const { earnings, deductions } = settlementLines(s);
+  const rows = (lines) => lines.map(([label, v]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${fmtNumber(v)}</td></tr>`).join("");
+  const body = $("settlementBody");
+  if (body) {
+    body.innerHTML = `
+      ${rows(earnings)}
+      <tr class="total-row"><td>Total earnings</td><td class="num">${fmtNumber(s.totalEarnings)}</td></tr>
+      ${rows(deductions)}
+      <tr class="total-row"><td>Total deductions</td><td class="num">${fmtNumber(s.totalDeductions)}</td></tr>
+      <tr class="total-row"><td>${s.netPayable < 0 ? "Amount due from the employee" : "Net amount payable"}</td><td class="num">${fmtNumber(Math.abs(s.netPayable))}</td></tr>`;
+  }
+
+  const t = s.taxDetail;
+  setText("settlementOutService", fmtServiceLength(s.service));
+  setText("settlementOutDailyWage", fmtEGP(s.dailyWage));
+  setText("settlementOutNotice", `${fmtNumber(s.requiredNoticeDays)} / ${fmtNumber(s.noticeDaysServed)} day(s)`);
+  setText("settlementOutAnnualTaxable", fmtEGP(t.annualTaxable));
+  setText("settlementOutAnnualTax", fmtEGP(t.annualTax));
+  setText("settlementOutPriorWithheld", `${fmtEGP(t.priorWithheld)} (${t.priorMonths} month(s))`);
+  setText("settlementOutCompanySi", fmtEGP(s.companySiMonthly));
+
+  const results = $("settlementResults");
+  if (results) results.hidden = false;
+  setSettlementPrintEnabled(true);
+}
+
+function renderSettlementLetterHtml(s) {
+  const { earnings, deductions } = settlementLines(s);
+  const who = s.employee.name || "the employee";
+  const code = s.employee.code ? ` (employee code ${escapeHtml(s.employee.code)})` : "";
+  const rows = (lines) => lines.map(([label, v]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${fmtNumber(v)}</td></tr>`).join("");
+
+  return `
+    <article class="payslip settlement-letter">
+      <header class="payslip-head">
+        <div>
+          <h2>Final Settlement</h2>
+          <div class="payslip-period">Issued ${escapeHtml(fmtSettlementDate(new Date().toISOString().slice(0, 10)))} · payroll year ${s.year}</div>
+        </div>
+        <img class="payslip-logo" src="${PAYSLIP_LOGO_URL}" alt="iEnergy logo" />
+      </header>
+
+      <p>
+        This letter confirms the final settlement of ${escapeHtml(who)}${code}, employed from
+        ${escapeHtml(fmtSettlementDate(s.hireDate))} to ${escapeHtml(fmtSettlementDate(s.exitDate))}
+        (${escapeHtml(fmtServiceLength(s.service))}), following ${SETTLEMENT_SEPARATION_LABELS[s.separation]}.
+      </p>
+
+      <div class="payslip-cols">
+        <table>
+          <thead><tr><th>Earnings</th><th class="num">EGP</th></tr></thead>
+          <tbody>${rows(earnings)}</tbody>
+          <tfoot><tr><td>Total earnings</td><td class="num">${fmtNumber(s.totalEarnings)}</td></tr></tfoot>
+        </table>
+        <table>
+          <thead><tr><th>Deductions</th><th class="num">EGP</th></tr></thead>
+          <tbody>${rows(deductions)}</tbody>
+          <tfoot><tr><td>Total deductions</td><td class="num">${fmtNumber(s.totalDeductions)}</td></tr></tfoot>
+        </table>
+      </div>
+
+      <div class="payslip-net">
+        <span>${s.netPayable < 0 ? "Amount due from the employee" : "Net amount payable"}</span>
+        <strong>${fmtEGP(Math.abs(s.netPayable))}</strong>
+      </div>
+
+      <p>
+        With this payment all salary, leave and notice entitlements arising from the employment are settled. Required notice
+        period: ${fmtNumber(s.requiredNoticeDays)} day(s); served: ${fmtNumber(s.noticeDaysServed)} day(s).
+      </p>
+
+      <div class="settlement-signatures">
+        <div>Human Resources</div>
+        <div>Finance</div>
+        <div>Received and agreed by the employee</div>
+      </div>
+
+      <footer class="payslip-foot">
+        <div>${escapeHtml(COMPANY_INFO.address)}</div>
+        <div>${escapeHtml(COMPANY_INFO.contact)}</div>
+      </footer>
+    </article>`;
+}
+
+// Copy the package (not the monthly loan instalment) and the payslip employee details from the forms above.
+function fillSettlementFromCalculator() {
+  [
+    ["basicGross", "settlementBasicGross"],
+    ["allowances", "settlementAllowances"],
+    ["incentive", "settlementIncentive"],
+    ["insurableBase", "settlementInsurableBase"],
+    ["medicalInsurance", "settlementMedicalInsurance"],
+    ["payslipCode", "settlementCode"],
+    ["payslipName", "settlementName"]
+  ].forEach(([from, to]) => {
+    const src = $(from);
+    const dst = $(to);
+    if (src && dst && String(src.value).trim() !== "") dst.value = src.value;
+  });
+  clearSettlementResults();
+}
+
+function initSettlementBindings() {
+  const bind = (id, fn) => {
+    const el = $(id);
+    if (el) el.addEventListener("click", fn);
+  };
+  bind("btnSettlementCalc", calculateSettlement);
+  bind("btnSettlementFill", fillSettlementFromCalculator);
+  bind("btnSettlementPrint", () => {
+    if (lastSettlement) printDocumentHtml(renderSettlementLetterHtml(lastSettlement));
+  });
+
+  // Same thousands formatting as the calculator inputs.
+  ["settlementBasicGross", "settlementAllowances", "settlementIncentive", "settlementInsurableBase",
+    "settlementMedicalInsurance", "settlementAdvanceLoan"].forEach((id) => {
+    const el = $(id);
+    if (el) el.addEventListener("blur", () => formatInputThousands(id, 2));
+  });
+}
+
+document.addEventListener("DOMContentLoaded", initSettlementBindings);
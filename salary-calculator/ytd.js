@@ -0,0 +1,179 @@
+"use strict";
+
+// Month-by-month payroll (cumulative YTD tax)
+// - 12-month grid: bonus, overtime hours per category, deduction hours and loan can differ per month
+// - Fixed components (basic gross, allowances, incentive, medical, insurable base, hours divisor)
+//   and the payroll year come from the calculator form above
+// - Tax is withheld on the year-to-date basis with a true-up in the final month, and the
+//   year is reconciled against calcAnnualTaxEG on the actual annual income
+
+const YTD_MONTH_NAMES = ["January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"];
+
+// Editable per-month columns: [engine field, column header, validation label].
+const YTD_INPUT_COLUMNS = [
+  ["bonus", "Bonus", "bonus"],
+  ["overtimeHours", "Day OT h", "day overtime hours"],
+  ["nightOvertimeHours", "Night OT h", "night overtime hours"],
+  ["restDayHours", "Rest-day h", "rest-day hours"],
+  ["publicHolidayHours", "Holiday h", "public-holiday hours"],
+  ["deductionHours", "Deduction h", "deduction hours"],
+  ["advanceLoan", "Advance loan", "advance loan"]
+];
+
+// Result columns: [breakdown key, header].
+const YTD_RESULT_COLUMNS = [
+  ["grossMonthly", "Gross"],
+  ["siMonthly", "Employee SI"],
+  ["taxMonthly", "Tax withheld"],
+  ["ytdTax", "YTD tax"],
+  ["martyrsMonthly", "Martyrs"],
+  ["netMonthly", "Net salary"]
+];
+
+function ytdCell(field, month) {
+  return $("ytdBody") ? $("ytdBody").querySelector(`input[data-field="${field}"][data-month="${month}"]`) : null;
+}
+
+function renderYtdGrid() {
+  const body = $("ytdBody");
+  if (!body) return;
+  body.innerHTML = YTD_MONTH_NAMES.map((name, i) => {
+    const inputs = YTD_INPUT_COLUMNS.map(([field, header]) =>
+      `<td><input class="grid-input" data-field="${field}" data-month="${i}" inputmode="decimal" aria-label="${escapeHtml(`${name} ${header}`)}" /></td>`
+    ).join("");
+    const outputs = YTD_RESULT_COLUMNS.map(([key]) => `<td class="num" data-out="${key}">—</td>`).join("");
+    return `<tr data-month="${i}"><td>${name}</td>${inputs}${outputs}</tr>`;
+  }).join("");
+}
+
+function readYtdMonths(errs) {
+  return YTD_MONTH_NAMES.map((name, i) => {
+    const month = {};
+    YTD_INPUT_COLUMNS.forEach(([field, , label]) => {
+      const el = ytdCell(field, i);
+      month[field] = parseNumber(el ? el.value : "");
+      validateNonNegative(`${name} ${label}`, month[field], errs);
+    });
+    return month;
+  });
+}
+
+// Copy the calculator's bonus, overtime hours, deduction hours and loan into every month.
+function fillYtdFromCalculator() {
+  YTD_MONTH_NAMES.forEach((_, i) => {
+    YTD_INPUT_COLUMNS.forEach(([field]) => {
+      const el = ytdCell(field, i);
+      const src = $(field);
+      if (el && src) el.value = src.value;
+    });
+  });
+  clearYtdResults();
+}
+
+function clearYtdResults() {
+  document.querySelectorAll("#ytdBody [data-out], #ytdFoot [data-out]").forEach((td) => { td.textContent = "—"; });
+  const rec = $("ytdReconciliation");
+  if (rec) rec.hidden = true;
+}
+
+function calculateYtd() {
+  const errs = [];
+  const rules = getActiveRules();
+  if (!rules) {
+    clearYtdResults();
+    showErrorsIn("errorsYtd", [RULES_NOT_LOADED_MSG]);
+    return;
+  }
+
+  const base = readBasePackage();
+  // Month-specific fields are checked per month below.
+  const zeroMonth = {};
+  IEnergyPayroll.MONTH_FIELDS.forEach((k) => { zeroMonth[k] = 0; });
+  validatePayrollInput({ ...base, ...zeroMonth }, rules, errs);
+  const months = readYtdMonths(errs);
+
+  if (errs.length) {
+    clearYtdResults();
+    showErrorsIn("errorsYtd", errs);
+    return;
+  }
+
+  const y = IEnergyPayroll.computePayrollYear(base, months, rules);
+  if (!y.ok) {
+    clearYtdResults();
+    showErrorsIn("errorsYtd", [`${YTD_MONTH_NAMES[y.month - 1] || "Payroll year"}: ${y.reason}`]);
+    return;
+  }
+
+  showErrorsIn("errorsYtd", []);
+  renderYtdResults(y);
+}
+
+function renderYtdResults(y) {
+  y.months.forEach((m, i) => {
+    const row = document.querySelector(`#ytdBody tr[data-month="${i}"]`);
+    if (!row) return;
+    YTD_RESULT_COLUMNS.forEach(([key]) => {
+      const td = row.querySelector(`[data-out="${key}"]`);
+      if (td) td.textContent = fmtNumber(m[key]);
+    });
+  });
+  YTD_RESULT_COLUMNS.forEach(([key]) => {
+    const td = document.querySelector(`#ytdFoot [data-out="${key}"]`);
+    // A running YTD figure has no meaningful total; show the year-end value.
+    if (td) td.textContent = fmtNumber(key === "ytdTax" ? y.reconciliation.withheldTotal : y.totals[key]);
+  });
+
+  const r = y.reconciliation;
+  // Rounding noise must not show up as "-0".
+  const cents = (n) => (Math.abs(n) < 0.005 ? 0 : n);
+  setText("ytdRecTaxable", fmtEGP(r.taxableAnnual));
+  setText("ytdRecAnnualTax", fmtEGP(r.annualTax));
+  setText("ytdRecWithheldBefore", fmtEGP(r.withheldBeforeFinal));
+  setText("ytdRecFinalMonth", fmtEGP(r.finalMonthTax));
+  setText("ytdRecTrueUp", fmtEGP(cents(r.trueUp)));
+  setText("ytdRecWithheld", fmtEGP(r.withheldTotal));
+  setText("ytdRecDifference", fmtEGP(cents(r.difference)));
+  setText("ytdRecFlat", fmtEGP(r.flatTaxTotal));
+  setText("ytdRecFlatDifference", fmtEGP(cents(r.flatDifference)));
+  const rec = $("ytdReconciliation");
+  if (rec) rec.hidden = false;
+}
+
+function resetYtdGrid() {
+  document.querySelectorAll("#ytdBody input[data-field]").forEach((el) => { el.value = ""; });
+  clearYtdResults();
+  showErrorsIn("errorsYtd", []);
+}
+
+function initYtdBindings() {
+  renderYtdGrid();
+
+  const bind = (id, fn) => {
+    const el = $(id);
+    if (el) el.addEventListener("click", fn);
+  };
+  bind("btnYtdCalc", calculateYtd);
+  bind("btnYtdFill", fillYtdFromCalculator);
+  bind("btnYtdReset", resetYtdGrid);
+
+  const body = $("ytdBody");
+  if (body) {
+    body.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target.matches("input[data-field]")) {
+        e.preventDefault();
+        calculateYtd();
+      }
+    });
+    // Same thousands formatting as the calculator inputs.
+    body.addEventListener("blur", (e) => {
+      const el = e.target;
+      if (!el.matches || !el.matches("input[data-field]")) return;
+      const n = parseNumber(el.value);
+      if (String(el.value).trim() !== "" && Number.isFinite(n)) el.value = fmtNumber(n, 2);
+    }, true);
+  }
+}
+
+document.addEventListener("DOMContentLoaded", initYtdBindings);
@@ -0,0 +1,168 @@
+/* Employee salary data (shared by Salary Query and the Salary Calculator)
+   - Loads the employee salaries workbook that sits next to this script (default: employees salaries.xlsx)
+   - Looks employees up by EmployeeCode and reads their stored salary components
+   - Salary history: every sheet is read; a sheet named after a period (2025-01, Jan 2025, 2025) is that
+     period's salary list, and a sheet with an EffectiveDate column is a long-format history table
+   - Sheet and period parsing live in salary-sheets.js (load it first)
+   - Browser: exposed as window.IEnergyEmployees
+*/
+(function () {
+  'use strict';
+
+  // Workbook paths are relative to this script, so every page that includes it finds the same file.
+  const SCRIPT_URL = (document.currentScript && document.currentScript.src) || window.location.href;
+  const DEFAULT_XLSX_PATH = './employees salaries.xlsx';
+  const FALLBACK_XLSX_PATHS = [
+    DEFAULT_XLSX_PATH,
+    '../data/employees.xlsx', // legacy
+    './employees.xlsx' // legacy
+  ];
+  const XLSX_CDN_URL = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
+
+  const { COLUMNS, normalizeKey, pickField, toIsoDate, toPeriodDate, toAmount, readSalarySheets, salaryTimeline } = window.IEnergySalarySheets;
+
+  // Salary components that map 1:1 onto calculator fields.
+  const COMPONENT_FIELDS = ['basicGross', 'allowances', 'incentive', 'medicalInsurance', 'insurableBase'];
+
+  // Data cache: { rows (current salaries), history (entries of every dated sheet/row) }
+  let data = null;
+  let loading = null;
+  let xlsxLoading = null;
+
+  function loadXlsxLibrary() {
+    if (window.XLSX) return Promise.resolve();
+    // Pages with their own loader (CDN fallbacks) use it.
+    if (typeof window.__ensureXLSX === 'function') return window.__ensureXLSX();
+    if (!xlsxLoading) {
+      xlsxLoading = new Promise((resolve) => {
+        const s = document.createElement('script');
+        s.src = XLSX_CDN_URL;
+        s.onload = () => resolve();
+        s.onerror = () => { xlsxLoading = null; resolve(); };
+        document.head.appendChild(s);
+      });
+    }
+    return xlsxLoading;
+  }
+
+  async function fetchWorkbook() {
+    await loadXlsxLibrary();
+    if (!window.XLSX) {
+      throw new Error('XLSX library not found.');
+    }
+
+    let buf = null;
+    let loadedFrom = null;
+
+    for (const p of FALLBACK_XLSX_PATHS) {
+      try {
+        const resp = await fetch(new URL(p, SCRIPT_URL).href, { cache: 'no-store' });
+        if (!resp.ok) continue;
+        buf = await resp.arrayBuffer();
+        loadedFrom = p;
+        break;
+      } catch (e) {
+        // try next path
+      }
+    }
+
+    if (!buf) {
+      throw new Error('Unable to load the employee salaries file. Make sure it exists at salary-query/employees salaries.xlsx (preferred) or data/employees.xlsx (legacy), and is published to GitHub Pages.');
+    }
+
+    // Optional: show where we loaded from (useful for troubleshooting)
+    if (loadedFrom && window.console) console.log('Employee data loaded from:', loadedFrom);
+
+    return XLSX.read(buf, { type: 'array' });
+  }
+
+  // Parsed workbook; loaded once per page.
+  async function loadWorkbookData() {
+    if (data) return data;
+    if (!loading) {
+      loading = fetchWorkbook()
+        .then((wb) => {
+          data = readSalarySheets(wb.SheetNames.map((name) => ({ name, rows: XLSX.utils.sheet_to_json(wb.Sheets[name], { defval: '' }) })));
+          return data;
+        })
+        .finally(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  // Current salary rows: the first undated sheet with an employee code column (the usual single-sheet file),
+  // otherwise the latest period sheet, otherwise the latest row per employee of the history table.
+  async function loadEmployees() {
+    return (await loadWorkbookData()).rows;
+  }
+
+  function findByEmployeeCode(list, code) {
+    const target = normalizeKey(code);
+    if (!target) return null;
+
+    for (const r of list || []) {
+      if (normalizeKey(pickField(r, COLUMNS.code)) === target) return r;
+    }
+    return null;
+  }
+
+  /**
+   * Employee record from a workbook row.
+   * Returns { code, name, position, hireDate ('YYYY-MM-DD' or ''), components } where components holds the
+   * COMPONENT_FIELDS present in the sheet as numbers (missing columns are left out).
+   */
+  function employeeRecord(row) {
+    const components = {};
+    COMPONENT_FIELDS.forEach((k) => {
+      const n = toAmount(pickField(row, COLUMNS[k]));
+      if (n != null) components[k] = n;
+    });
+    return {
+      code: String(pickField(row, COLUMNS.code)).trim(),
+      name: String(pickField(row, COLUMNS.name)).trim(),
+      position: String(pickField(row, COLUMNS.position)).trim(),
+      hireDate: toIsoDate(pickField(row, COLUMNS.hireDate)),
+      components
+    };
+  }
+
+  // Record for an employee code, or null when the code is not in the workbook.
+  async function lookupEmployee(code) {
+    const row = findByEmployeeCode(await loadEmployees(), code);
+    return row ? employeeRecord(row) : null;
+  }
+
+  /**
+   * Salary timeline for an employee code, oldest first: one entry per change of basic gross or insurable
+   * base, { date, source (sheet name), basicGross, insurableBase, basicGrossChangePct, insurableChangePct }.
+   * Change percentages are null for the first entry and when the previous value is missing or 0.
+   */
+  async function loadSalaryHistory(code) {
+    const target = normalizeKey(code);
+    const { history } = await loadWorkbookData();
+    const points = history
+      .filter((h) => normalizeKey(pickField(h.row, COLUMNS.code)) === target)
+      .map((h) => ({
+        date: h.date,
+        source: h.source,
+        basicGross: toAmount(pickField(h.row, COLUMNS.basicGross)),
+        insurableBase: toAmount(pickField(h.row, COLUMNS.insurableBase))
+      }));
+    return salaryTimeline(points);
+  }
+
+  window.IEnergyEmployees = {
+    COLUMNS,
+    COMPONENT_FIELDS,
+    loadXlsxLibrary,
+    loadEmployees,
+    findByEmployeeCode,
+    pickField,
+    toIsoDate,
+    employeeRecord,
+    lookupEmployee,
+    toPeriodDate,
+    salaryTimeline,
+    loadSalaryHistory
+  };
+})();
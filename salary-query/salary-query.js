@@ -1,7 +1,10 @@
 /* Salary Query
-   - No login required (unlocked)
-   - Reads an Excel file in the browser (default: ./employees salaries.xlsx)
+   - Reads an Excel file in the browser (default: ./employees salaries.xlsx, via employee-data.js)
    - Looks up an employee by EmployeeCode and displays key fields
+   - Shows the salary history (basic gross and insurable base changes) of multi-period workbooks
+   - Computes the monthly payroll (gross, SI, tax, martyrs, net) with the Salary Calculator's engine and rules
+   - Bulk mode: a pasted list or uploaded file of codes gives a table (plus a not-found list) to export
+   - "Open in calculator" hands the employee code to the Salary Calculator
 */
 (function () {
   'use strict';
@@ -11,12 +14,10 @@
 // -----------------------------
   // Query logic
   // -----------------------------
-  const DEFAULT_XLSX_PATH = './employees salaries.xlsx';
-  const FALLBACK_XLSX_PATHS = [
-    DEFAULT_XLSX_PATH,
-    '../data/employees.xlsx', // legacy
-    './employees.xlsx' // legacy
-  ];
+  // Workbook loading and column matching live in employee-data.js (shared with the Salary Calculator).
+  const CALCULATOR_URL = '../salary-calculator/index.html';
+  const PAYROLL_RULES_URL = '../salary-calculator/payroll-rules.json';
+  const PAYROLL_RULES_SCHEMA_URL = '../salary-calculator/payroll-rules.schema.json';
 
   // DOM
   const elEmpCode = $('empCode');
@@ -29,10 +30,44 @@
   const elHireDate = $('rHireDate');
   const elBasicGross = $('rBasicGross');
   const elInsurable = $('rInsurable');
+  const elTenure = $('rTenure');
+  const elPayrollTitle = $('rPayrollTitle');
+  const elPayrollNote = $('rPayrollNote');
+  const elOpenCalculator = $('openInCalculator');
+  const elHistory = $('rHistory');
+  const elHistoryEmpty = $('rHistoryEmpty');
+  const elHistoryBody = $('rHistoryBody');
+  const elHistoryChart = $('rHistoryChart');
+
+  // History chart lines: [entry key, legend label, colour].
+  const HISTORY_SERIES = [
+    ['basicGross', 'Basic gross', '#8fb0ff'],
+    ['insurableBase', 'Insurable base', '#3ecf8e']
+  ];
+
+  // Payroll figures: [element id, computePayroll result key].
+  const PAYROLL_FIELDS = [
+    ['rGross', 'grossMonthly'],
+    ['rEmployeeSi', 'siMonthly'],
+    ['rCompanySi', 'companySiMonthly'],
+    ['rTax', 'taxMonthly'],
+    ['rMartyrs', 'martyrsMonthly'],
+    ['rNet', 'netMonthly']
+  ];
+
+  // Export headers of the payroll figures.
+  const PAYROLL_HEADERS = {
+    grossMonthly: 'Gross Salary',
+    siMonthly: 'Employee SI',
+    companySiMonthly: 'Company SI',
+    taxMonthly: 'Salary Tax',
+    martyrsMonthly: 'Martyrs',
+    netMonthly: 'Net Salary'
+  };
 
-  // Data cache
-  let workbookLoaded = false;
-  let rows = null;
+  // Rule set of the current year (clamped to the published years); loaded on the first search.
+  let payrollRules = null;
+  let rulesLoading = null;
 
   function setStatus(msg, isError) {
     if (!elStatus) return;
@@ -51,107 +86,195 @@
     return x.toLocaleString('en-US', { maximumFractionDigits: 2 });
   }
 
-  function fmtDate(v) {
-    if (!v) return '';
-    // Accept ISO strings, Date, or Excel date serial (best-effort).
-    if (v instanceof Date) return v.toISOString().slice(0, 10);
-    if (typeof v === 'string') return v;
-    if (typeof v === 'number') {
-      // Excel serial (1900 system) best-effort
-      const epoch = new Date(Date.UTC(1899, 11, 30));
-      const d = new Date(epoch.getTime() + v * 86400000);
-      return d.toISOString().slice(0, 10);
+  async function fetchJson(url, label) {
+    const resp = await fetch(url, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`Unable to load ${label} (HTTP ${resp.status}).`);
+    return resp.json();
+  }
+
+  async function loadPayrollRules() {
+    if (payrollRules) return payrollRules;
+    if (!rulesLoading) {
+      rulesLoading = Promise.all([
+        fetchJson(PAYROLL_RULES_URL, 'payroll-rules.json'),
+        fetchJson(PAYROLL_RULES_SCHEMA_URL, 'payroll-rules.schema.json')
+      ])
+        .then(([doc, schema]) => {
+          const errs = IEnergyPayroll.validateRulesDocument(doc, schema);
+          if (errs.length) throw new Error(`payroll-rules.json: ${errs[0]}`);
+          const ruleSets = IEnergyPayroll.buildRuleSets(doc);
+          const years = Object.keys(ruleSets).map(Number).sort((a, b) => a - b);
+          const year = Math.min(Math.max(new Date().getFullYear(), years[0]), years[years.length - 1]);
+          payrollRules = ruleSets[year];
+          return payrollRules;
+        })
+        .finally(() => { rulesLoading = null; });
     }
-    return String(v);
+    return rulesLoading;
   }
 
-  async function loadXlsxIfNeeded() {
-    if (workbookLoaded && Array.isArray(rows)) return;
+  function fmtTenure(service) {
+    if (!service) return '—';
+    const part = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+    return `${part(service.years, 'year')}, ${part(service.months, 'month')}`;
+  }
 
-    // XLSX library is expected (loaded via CDN in earlier versions).
-    // If missing, we fail gracefully.
-    if (!window.XLSX) {
-      throw new Error('XLSX library not found.');
-    }
+  function todayIso() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
 
-    let buf = null;
-    let loadedFrom = null;
-
-    for (const p of FALLBACK_XLSX_PATHS) {
-      try {
-        const resp = await fetch(encodeURI(p), { cache: 'no-store' });
-        if (!resp.ok) continue;
-        buf = await resp.arrayBuffer();
-        loadedFrom = p;
-        break;
-      } catch (e) {
-        // try next path
-      }
+  function setPayrollFigures(result) {
+    PAYROLL_FIELDS.forEach(([id, key]) => {
+      const el = $(id);
+      if (el) el.textContent = result ? fmtNumber(result[key]) : '—';
+    });
+  }
+
+  // Monthly payroll of the stored package (no bonus, overtime or loan), as the calculator would show it:
+  // { result (computePayroll result or null), note }.
+  // The insurable base is kept within the year's caps, like the calculator requires.
+  function employeePayroll(employee, rules) {
+    if (!rules) {
+      return { result: null, note: 'Payroll rules are not available, so the payroll figures cannot be calculated.' };
     }
 
-    if (!buf) {
-      throw new Error('Unable to load the employee salaries file. Make sure it exists at salary-query/employees salaries.xlsx (preferred) or data/employees.xlsx (legacy), and is published to GitHub Pages.');
+    const input = Object.assign({}, employee.components);
+    const notes = [];
+    const base = input.insurableBase;
+    if (base == null) {
+      notes.push('No insurable salary base in the employee file; social insurance is not included.');
+    } else if (base < rules.insurableBaseMin || base > rules.insurableBaseMax) {
+      input.insurableBase = Math.min(Math.max(base, rules.insurableBaseMin), rules.insurableBaseMax);
+      notes.push(`Insurable base ${fmtNumber(base)} is outside the ${rules.year} limits (${fmtNumber(rules.insurableBaseMin)}–${fmtNumber(rules.insurableBaseMax)}); social insurance uses ${fmtNumber(input.insurableBase)}.`);
     }
 
-    // Optional: show where we loaded from (useful for troubleshooting)
-    if (loadedFrom && window.console) console.log('Salary Query loaded Excel from:', loadedFrom);
+    const result = IEnergyPayroll.computePayroll(input, rules);
+    if (!result.ok) return { result: null, note: result.reason };
+    return { result, note: notes.join(' ') };
+  }
 
-    const wb = XLSX.read(buf, { type: 'array' });
-    const sheetName = wb.SheetNames[0];
-    const ws = wb.Sheets[sheetName];
-    const json = XLSX.utils.sheet_to_json(ws, { defval: '' });
+  function renderPayroll(employee, rules) {
+    if (elPayrollTitle) elPayrollTitle.textContent = rules ? `Monthly payroll (${rules.year} rules)` : 'Monthly payroll';
+    const { result, note } = employeePayroll(employee, rules);
+    setPayrollFigures(result);
+    return note;
+  }
 
-    rows = json;
-    workbookLoaded = true;
+  // The employee data still shows when the payroll rules cannot be loaded.
+  function loadPayrollRulesIfAvailable() {
+    return loadPayrollRules().catch((e) => {
+      if (window.console) console.warn(e);
+      return null;
+    });
   }
 
-  function normalizeKey(s) {
-    return String(s || '').trim().toLowerCase();
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
   }
 
-  function findByEmployeeCode(code) {
-    const target = normalizeKey(code);
-    if (!target) return null;
+  function fmtChange(pct) {
+    if (pct == null || !isFinite(pct)) return '—';
+    if (Math.abs(pct) < 0.00005) return '±0%';
+    const text = `${pct > 0 ? '+' : '−'}${(Math.abs(pct) * 100).toFixed(1)}%`;
+    return `<span class="${pct > 0 ? 'change-up' : 'change-down'}">${text}</span>`;
+  }
 
-    // Try common column names
-    const codeCols = ['employeecode', 'employee code', 'code', 'empcode', 'emp code'];
-    const getCode = (r) => {
-      for (const k of Object.keys(r || {})) {
-        if (codeCols.includes(normalizeKey(k))) return r[k];
-      }
-      // fallback: exact key
-      return r.EmployeeCode ?? r.employeeCode ?? r.Code ?? '';
-    };
+  function renderHistory(entries) {
+    const has = entries.length > 0;
+    if (elHistory) elHistory.classList.toggle('hidden', !has);
+    if (elHistoryEmpty) elHistoryEmpty.classList.toggle('hidden', has);
 
-    for (const r of rows || []) {
-      const v = getCode(r);
-      if (normalizeKey(v) === target) return r;
+    if (elHistoryBody) {
+      // Newest first, like a raise review reads.
+      elHistoryBody.innerHTML = entries.slice().reverse().map((e) => `
+        <tr>
+          <td title="${escapeHtml(e.source)}">${escapeHtml(e.date)}</td>
+          <td class="num">${e.basicGross == null ? '—' : fmtNumber(e.basicGross)}</td>
+          <td class="num">${fmtChange(e.basicGrossChangePct)}</td>
+          <td class="num">${e.insurableBase == null ? '—' : fmtNumber(e.insurableBase)}</td>
+          <td class="num">${fmtChange(e.insurableChangePct)}</td>
+        </tr>`).join('');
     }
-    return null;
+    if (elHistoryChart) elHistoryChart.innerHTML = buildHistoryChartSvg(entries);
   }
 
-  function pickField(row, candidates) {
-    for (const key of candidates) {
-      for (const k of Object.keys(row || {})) {
-        if (normalizeKey(k) === normalizeKey(key)) return row[k];
-      }
-    }
-    return '';
+  // Step lines over time, built as inline SVG (no chart library on this page); needs two or more entries.
+  function buildHistoryChartSvg(entries) {
+    if (entries.length < 2) return '';
+
+    const W = 640;
+    const H = 200;
+    const pad = { top: 14, right: 14, bottom: 26, left: 58 };
+    const plotW = W - pad.left - pad.right;
+    const plotH = H - pad.top - pad.bottom;
+
+    const time = (d) => Date.parse(`${d}T00:00:00Z`);
+    const t0 = time(entries[0].date);
+    // The last value is drawn up to today (or one month past the last change, when that is later).
+    const t1 = Math.max(Date.now(), time(entries[entries.length - 1].date) + 30 * 86400000);
+    const values = [];
+    entries.forEach((e) => HISTORY_SERIES.forEach(([key]) => { if (e[key] != null) values.push(e[key]); }));
+    const max = Math.max(1, ...values) * 1.1;
+    const x = (t) => pad.left + ((t - t0) / (t1 - t0)) * plotW;
+    const y = (v) => pad.top + plotH - (v / max) * plotH;
+
+    const grid = [0, 0.5, 1].map((f) => {
+      const gy = y(max * f).toFixed(1);
+      return `<line x1="${pad.left}" x2="${W - pad.right}" y1="${gy}" y2="${gy}" class="history-grid" />` +
+        `<text x="${pad.left - 6}" y="${gy}" text-anchor="end" dominant-baseline="middle">${fmtNumber(Math.round(max * f))}</text>`;
+    }).join('');
+
+    const lines = HISTORY_SERIES.map(([key, label, colour]) => {
+      const pts = entries.filter((e) => e[key] != null);
+      if (!pts.length) return '';
+      let d = '';
+      pts.forEach((e, i) => {
+        const px = x(time(e.date)).toFixed(1);
+        const py = y(e[key]).toFixed(1);
+        d += i ? ` H${px} V${py}` : `M${px} ${py}`;
+      });
+      d += ` H${x(t1).toFixed(1)}`;
+      const dots = pts.map((e) => `<circle cx="${x(time(e.date)).toFixed(1)}" cy="${y(e[key]).toFixed(1)}" r="3" fill="${colour}">` +
+        `<title>${escapeHtml(e.date)} · ${escapeHtml(label)}: ${fmtNumber(e[key])}</title></circle>`).join('');
+      return `<path d="${d}" fill="none" stroke="${colour}" stroke-width="2" />${dots}`;
+    }).join('');
+
+    const first = entries[0].date.slice(0, 7);
+    const last = entries[entries.length - 1].date.slice(0, 7);
+    const axis = `<text x="${pad.left}" y="${H - 8}" text-anchor="start">${escapeHtml(first)}</text>` +
+      `<text x="${x(time(entries[entries.length - 1].date)).toFixed(1)}" y="${H - 8}" text-anchor="middle">${escapeHtml(last)}</text>`;
+
+    const legend = HISTORY_SERIES.map(([, label, colour]) => `<span><i style="background:${colour}"></i>${escapeHtml(label)}</span>`).join('');
+
+    return `<svg viewBox="0 0 ${W} ${H}" role="img" aria-label="Basic gross and insurable base over time">${grid}${lines}${axis}</svg>` +
+      `<div class="history-legend">${legend}</div>`;
   }
 
-  function renderRow(r) {
-    const name = pickField(r, ['Name', 'EmployeeName', 'FullName']);
-    const position = pickField(r, ['Position', 'Title', 'JobTitle']);
-    const hireDate = pickField(r, ['HiringDate', 'HireDate', 'JoinDate', 'Hiring Date']);
-    const basicGross = pickField(r, ['BasicGrossSalary', 'Basic Gross Salary', 'BasicGross', 'Basic Gross']);
-    const insurable = pickField(r, ['BasicSocialInsuranceSalary', 'InsurableSalaryBase', 'Insurable Salary Base', 'Basic SI Salary']);
+  function renderRow(r, rules, history) {
+    const { pickField, toIsoDate, COLUMNS } = IEnergyEmployees;
+    const name = pickField(r, COLUMNS.name);
+    const position = pickField(r, COLUMNS.position);
+    const hireDate = pickField(r, COLUMNS.hireDate);
+    const basicGross = pickField(r, COLUMNS.basicGross);
+    const insurable = pickField(r, COLUMNS.insurableBase);
 
     if (elName) elName.textContent = name || '—';
     if (elPosition) elPosition.textContent = position || '—';
-    if (elHireDate) elHireDate.textContent = fmtDate(hireDate) || '—';
+    if (elHireDate) elHireDate.textContent = toIsoDate(hireDate) || '—';
     if (elBasicGross) elBasicGross.textContent = basicGross !== '' ? fmtNumber(basicGross) : '—';
     if (elInsurable) elInsurable.textContent = insurable !== '' ? fmtNumber(insurable) : '—';
 
+    const employee = IEnergyEmployees.employeeRecord(r);
+    if (elTenure) elTenure.textContent = fmtTenure(IEnergyPayroll.lengthOfService(employee.hireDate, todayIso()));
+    const note = renderPayroll(employee, rules);
+    if (elPayrollNote) elPayrollNote.textContent = note || '';
+    renderHistory(history || []);
+
+    // The calculator loads the same employee by code and calculates straight away.
+    const code = String(pickField(r, COLUMNS.code)).trim();
+    if (elOpenCalculator) elOpenCalculator.href = `${CALCULATOR_URL}#employee=${encodeURIComponent(code)}`;
+
     showResult(true);
   }
 
@@ -165,20 +288,199 @@
 
     try {
       setStatus('Loading data...', false);
-      await loadXlsxIfNeeded();
+      const [rows, rules] = await Promise.all([IEnergyEmployees.loadEmployees(), loadPayrollRulesIfAvailable()]);
 
-      const r = findByEmployeeCode(code);
+      const r = IEnergyEmployees.findByEmployeeCode(rows, code);
       if (!r) {
         setStatus('No employee found for this code.', true);
         return;
       }
       setStatus('Found.', false);
-      renderRow(r);
+      renderRow(r, rules, await IEnergyEmployees.loadSalaryHistory(code));
     } catch (e) {
       setStatus(e && e.message ? e.message : 'Unexpected error.', true);
     }
   }
 
+  // -----------------------------
+  // Bulk lookup
+  // -----------------------------
+  // Table columns: [header, value of a bulk row, is an amount]. Amounts stay numbers for the export.
+  const BULK_COLUMNS = [
+    ['Employee Code', (b) => b.code, false],
+    ['Name', (b) => b.name, false],
+    ['Position', (b) => b.position, false],
+    ['Hiring Date', (b) => b.hireDate, false],
+    ['Length of Service', (b) => b.tenure, false],
+    ['Basic Gross', (b) => b.basicGross, true],
+    ['Insurable Base', (b) => b.insurableBase, true],
+    ...PAYROLL_FIELDS.map(([, key]) => [PAYROLL_HEADERS[key], (b) => (b.payroll ? Math.round(b.payroll[key] * 100) / 100 : ''), true]),
+    ['Note', (b) => b.note, false]
+  ];
+
+  const elBulkCodes = $('bulkCodes');
+  const elBulkFile = $('bulkFile');
+  const elBulkStatus = $('bulkStatus');
+  const elBulkResults = $('bulkResults');
+  const elBulkHead = $('bulkHead');
+  const elBulkBody = $('bulkBody');
+  const elBulkNotFound = $('bulkNotFound');
+
+  let bulkRows = [];
+  let bulkNotFound = [];
+
+  function setBulkStatus(msg, isError) {
+    if (!elBulkStatus) return;
+    elBulkStatus.textContent = msg || '';
+    elBulkStatus.classList.toggle('status-error', !!isError);
+  }
+
+  function setBulkExportEnabled(enabled) {
+    ['btnBulkXlsx', 'btnBulkCsv'].forEach((id) => {
+      const el = $(id);
+      if (el) el.disabled = !enabled;
+    });
+  }
+
+  // Codes separated by new lines, commas, semicolons, tabs or spaces; duplicates dropped, order kept.
+  function parseCodeList(text) {
+    const seen = new Set();
+    return String(text || '').split(/[\s,;]+/).map((c) => c.trim()).filter((c) => {
+      const key = c.toLowerCase();
+      if (!c || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Codes from an uploaded file: the employee code column of an .xlsx/.csv, otherwise its first column;
+  // a .txt file is read as a pasted list.
+  async function readCodesFile(file) {
+    if (/\.txt$/i.test(file.name)) return parseCodeList(await file.text());
+
+    await IEnergyEmployees.loadXlsxLibrary();
+    if (!window.XLSX) throw new Error('The Excel library could not be loaded. Check your connection and try again.');
+    const wb = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const ws = wb.Sheets[wb.SheetNames[0]];
+    const withHeader = XLSX.utils.sheet_to_json(ws, { defval: '' });
+    const hasCodeColumn = withHeader.length > 0 &&
+      String(IEnergyEmployees.pickField(withHeader[0], IEnergyEmployees.COLUMNS.code)) !== '';
+    const cells = hasCodeColumn
+      ? withHeader.map((r) => IEnergyEmployees.pickField(r, IEnergyEmployees.COLUMNS.code))
+      : XLSX.utils.sheet_to_json(ws, { header: 1, defval: '' }).map((r) => r[0]);
+    return parseCodeList(cells.join('\n'));
+  }
+
+  function bulkRow(r, rules) {
+    const employee = IEnergyEmployees.employeeRecord(r);
+    const { result, note } = employeePayroll(employee, rules);
+    const service = IEnergyPayroll.lengthOfService(employee.hireDate, todayIso());
+    return {
+      code: employee.code,
+      name: employee.name,
+      position: employee.position,
+      hireDate: employee.hireDate,
+      tenure: service ? fmtTenure(service) : '',
+      basicGross: employee.components.basicGross ?? '',
+      insurableBase: employee.components.insurableBase ?? '',
+      payroll: result,
+      note
+    };
+  }
+
+  function renderBulk() {
+    if (elBulkHead) {
+      elBulkHead.innerHTML = `<tr>${BULK_COLUMNS.map(([h, , amount]) => `<th${amount ? ' class="num"' : ''}>${escapeHtml(h)}</th>`).join('')}</tr>`;
+    }
+    if (elBulkBody) {
+      elBulkBody.innerHTML = bulkRows.map((b) => `
+        <tr>${BULK_COLUMNS.map(([, get, amount]) => {
+          const v = get(b);
+          if (v === '' || v == null) return `<td${amount ? ' class="num"' : ''}>—</td>`;
+          return amount ? `<td class="num">${fmtNumber(v)}</td>` : `<td>${escapeHtml(v)}</td>`;
+        }).join('')}</tr>`).join('');
+    }
+    if (elBulkNotFound) {
+      elBulkNotFound.textContent = bulkNotFound.length ? `Not found (${bulkNotFound.length}): ${bulkNotFound.join(', ')}` : '';
+    }
+    if (elBulkResults) elBulkResults.classList.toggle('hidden', !bulkRows.length && !bulkNotFound.length);
+    setBulkExportEnabled(bulkRows.length > 0 || bulkNotFound.length > 0);
+  }
+
+  async function handleBulkSearch() {
+    bulkRows = [];
+    bulkNotFound = [];
+    renderBulk();
+
+    try {
+      const file = elBulkFile && elBulkFile.files && elBulkFile.files[0];
+      let codes = parseCodeList(elBulkCodes ? elBulkCodes.value : '');
+      if (file) codes = parseCodeList([...codes, ...(await readCodesFile(file))].join('\n'));
+      if (!codes.length) {
+        setBulkStatus('Paste employee codes or choose a file of codes first.', true);
+        return;
+      }
+
+      setBulkStatus('Loading data...', false);
+      const [rows, rules] = await Promise.all([IEnergyEmployees.loadEmployees(), loadPayrollRulesIfAvailable()]);
+      codes.forEach((code) => {
+        const r = IEnergyEmployees.findByEmployeeCode(rows, code);
+        if (r) bulkRows.push(bulkRow(r, rules));
+        else bulkNotFound.push(code);
+      });
+      renderBulk();
+
+      setBulkStatus(`${bulkRows.length} of ${codes.length} employee(s) found` +
+        (rules ? ` · payroll uses the ${rules.year} rules.` : '.'), bulkNotFound.length > 0);
+    } catch (e) {
+      setBulkStatus(e && e.message ? e.message : 'Unexpected error.', true);
+    }
+  }
+
+  function buildBulkSheetRows() {
+    const rows = bulkRows.map((b) => {
+      const out = {};
+      BULK_COLUMNS.forEach(([h, get]) => { out[h] = get(b); });
+      return out;
+    });
+    bulkNotFound.forEach((code) => {
+      const out = {};
+      BULK_COLUMNS.forEach(([h]) => { out[h] = ''; });
+      out['Employee Code'] = code;
+      out['Note'] = 'Not found';
+      rows.push(out);
+    });
+    return rows;
+  }
+
+  async function exportBulk(bookType) {
+    if (!bulkRows.length && !bulkNotFound.length) return;
+    try {
+      await IEnergyEmployees.loadXlsxLibrary();
+      if (!window.XLSX) throw new Error('The Excel library could not be loaded. Check your connection and try again.');
+
+      const ws = XLSX.utils.json_to_sheet(buildBulkSheetRows(), { header: BULK_COLUMNS.map(([h]) => h) });
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, ws, 'Salary Lookup');
+
+      const stamp = new Date().toISOString().slice(0, 10);
+      XLSX.writeFile(wb, `salary-lookup-${stamp}.${bookType}`, { bookType });
+    } catch (e) {
+      setBulkStatus(e && e.message ? e.message : 'Unable to export the lookup.', true);
+    }
+  }
+
+  function initBulkApp() {
+    const bind = (id, fn) => {
+      const el = $(id);
+      if (el) el.addEventListener('click', fn);
+    };
+    bind('btnBulkSearch', handleBulkSearch);
+    bind('btnBulkXlsx', () => exportBulk('xlsx'));
+    bind('btnBulkCsv', () => exportBulk('csv'));
+    setBulkExportEnabled(false);
+  }
+
   function initQueryApp() {
     if (!elBtnSearch || !elEmpCode) return;
 
@@ -189,19 +491,12 @@
         handleSearch();
       }
     });
-
-    // Lazy-load XLSX from CDN if not present
-    if (!window.XLSX) {
-      const s = document.createElement('script');
-      s.src = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
-      s.onload = () => {};
-      document.head.appendChild(s);
-    }
   }
 // -----------------------------
   // Boot
   // -----------------------------
   document.addEventListener('DOMContentLoaded', () => {
     initQueryApp();
+    initBulkApp();
   });
 })();
@@ -0,0 +1,176 @@
+/* Employee salary workbook parsing (pure, DOM-free)
+   - Column names accepted for each field and case-insensitive field lookup
+   - Period parsing for sheet names and history cells (2025-03, Mar 2025, bare years, Excel date serials)
+   - Splits a workbook's sheets into the current salary rows and the dated salary history
+   - Salary timeline: one entry per change of basic gross or insurable base
+   - Browser: exposed as window.IEnergySalarySheets (used by employee-data.js); Node: module.exports
+     (used by the test suite)
+*/
+(function (root, factory) {
+  'use strict';
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.IEnergySalarySheets = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Column names accepted for each field (case-insensitive).
+  const COLUMNS = {
+    code: ['EmployeeCode', 'Employee Code', 'Code', 'EmpCode', 'Emp Code'],
+    name: ['Name', 'EmployeeName', 'FullName'],
+    position: ['Position', 'Title', 'JobTitle'],
+    hireDate: ['HiringDate', 'HireDate', 'JoinDate', 'Hiring Date'],
+    basicGross: ['BasicGrossSalary', 'Basic Gross Salary', 'BasicGross', 'Basic Gross'],
+    insurableBase: ['BasicSocialInsuranceSalary', 'InsurableSalaryBase', 'Insurable Salary Base', 'Basic SI Salary'],
+    allowances: ['Allowances', 'Allowance'],
+    incentive: ['Incentive', 'Incentives'],
+    medicalInsurance: ['MedicalInsurance', 'Medical Insurance', 'Medical'],
+    effectiveDate: ['EffectiveDate', 'Effective Date', 'EffectiveFrom', 'Period', 'Month']
+  };
+
+  const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  function normalizeKey(s) {
+    return String(s || '').trim().toLowerCase();
+  }
+
+  function pickField(row, candidates) {
+    for (const key of candidates) {
+      for (const k of Object.keys(row || {})) {
+        if (normalizeKey(k) === normalizeKey(key)) return row[k];
+      }
+    }
+    return '';
+  }
+
+  // Whether a sheet's header row (the keys of its first row) has one of the candidate columns.
+  function hasColumn(rows, candidates) {
+    return rows.length > 0 && Object.keys(rows[0]).some((k) => candidates.some((c) => normalizeKey(c) === normalizeKey(k)));
+  }
+
+  // 'YYYY-MM-DD' from an ISO string, Date or Excel date serial (best-effort); '' when empty.
+  function toIsoDate(v) {
+    if (!v) return '';
+    if (v instanceof Date) return v.toISOString().slice(0, 10);
+    if (typeof v === 'string') return v.trim();
+    if (typeof v === 'number') {
+      // Excel serial (1900 system)
+      const epoch = new Date(Date.UTC(1899, 11, 30));
+      const d = new Date(epoch.getTime() + v * 86400000);
+      return d.toISOString().slice(0, 10);
+    }
+    return String(v);
+  }
+
+  /**
+   * 'YYYY-MM-DD' for a sheet name or history cell naming a period: a date, '2025-03', '2025/3', 'Mar 2025',
+   * 'March-2025', '2025 Mar', a bare year ('2025' = 1 January) or an Excel date serial; '' otherwise.
+   */
+  function toPeriodDate(v) {
+    if (v instanceof Date || typeof v === 'number') {
+      // Small numbers are years, not serials.
+      if (typeof v === 'number' && v >= 1900 && v <= 2200) return `${v}-01-01`;
+      return toIsoDate(v);
+    }
+    const s = String(v || '').trim().toLowerCase();
+    if (!s) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    const valid = (y, m, d) => (m >= 1 && m <= 12 && d >= 1 && d <= 31 ? `${y}-${pad(m)}-${pad(d)}` : '');
+
+    let m = s.match(/^(\d{4})[-_/. ](\d{1,2})(?:[-_/. ](\d{1,2}))?$/);
+    if (m) return valid(m[1], Number(m[2]), Number(m[3] || 1));
+    m = s.match(/^(\d{4})$/);
+    if (m) return `${m[1]}-01-01`;
+    m = s.match(/^([a-z]{3,9})[-_ ,.]*(\d{4})$/) || s.match(/^(\d{4})[-_ ,.]*([a-z]{3,9})$/);
+    if (m) {
+      const [word, year] = /^\d/.test(m[1]) ? [m[2], m[1]] : [m[1], m[2]];
+      const month = MONTH_NAMES.indexOf(word.slice(0, 3)) + 1;
+      return month ? valid(year, month, 1) : '';
+    }
+    return '';
+  }
+
+  function toAmount(v) {
+    if (v === '' || v == null) return null;
+    const n = Number(String(v).replace(/,/g, '').trim());
+    return Number.isFinite(n) ? n : null;
+  }
+
+  /**
+   * Current salary rows and dated history of a workbook, from its sheets as [{ name, rows }] (rows as
+   * XLSX sheet_to_json objects). Only sheets with an employee code column count. A sheet with an
+   * EffectiveDate column is a long-format history table; one named after a period is that period's list.
+   * Current rows: the first other sheet (the usual single-sheet file), otherwise the latest period sheet,
+   * otherwise the latest row per employee of the history table.
+   *
+   * Returns { rows, history } with history entries { date ('YYYY-MM-DD'), source (sheet name), row },
+   * oldest first.
+   */
+  function readSalarySheets(sheetList) {
+    const sheets = sheetList
+      .filter((sh) => hasColumn(sh.rows, COLUMNS.code))
+      .map((sh) => {
+        const isTable = hasColumn(sh.rows, COLUMNS.effectiveDate);
+        return { name: sh.name, rows: sh.rows, isTable, period: isTable ? '' : toPeriodDate(sh.name) };
+      });
+
+    const history = [];
+    sheets.forEach((sh) => {
+      sh.rows.forEach((row) => {
+        const date = sh.isTable ? toPeriodDate(pickField(row, COLUMNS.effectiveDate)) : sh.period;
+        if (date) history.push({ date, source: sh.name, row });
+      });
+    });
+    history.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+    const snapshot = sheets.find((sh) => !sh.isTable && !sh.period);
+    if (snapshot) return { rows: snapshot.rows, history };
+
+    const periods = sheets.filter((sh) => sh.period).sort((a, b) => (a.period < b.period ? -1 : 1));
+    if (periods.length) return { rows: periods[periods.length - 1].rows, history };
+
+    const latest = new Map();
+    history.forEach((h) => latest.set(normalizeKey(pickField(h.row, COLUMNS.code)), h.row));
+    return { rows: Array.from(latest.values()), history };
+  }
+
+  function changePct(from, to) {
+    if (from == null || to == null || from === 0) return null;
+    return (to - from) / from;
+  }
+
+  /**
+   * Timeline of { date, basicGross, insurableBase, ... } points (oldest first): keeps the entries where a
+   * value changed (a later entry on the same date wins) and adds basicGrossChangePct / insurableChangePct,
+   * null for the first entry and when the previous value is missing or 0.
+   */
+  function salaryTimeline(points) {
+    const byDate = [];
+    points.forEach((p) => {
+      if (byDate.length && byDate[byDate.length - 1].date === p.date) byDate[byDate.length - 1] = p;
+      else byDate.push(p);
+    });
+
+    const out = [];
+    byDate.forEach((p) => {
+      const prev = out[out.length - 1];
+      if (prev && prev.basicGross === p.basicGross && prev.insurableBase === p.insurableBase) return;
+      out.push(Object.assign({}, p, {
+        basicGrossChangePct: prev ? changePct(prev.basicGross, p.basicGross) : null,
+        insurableChangePct: prev ? changePct(prev.insurableBase, p.insurableBase) : null
+      }));
+    });
+    return out;
+  }
+
+  return {
+    COLUMNS,
+    normalizeKey,
+    pickField,
+    hasColumn,
+    toIsoDate,
+    toPeriodDate,
+    toAmount,
+    readSalarySheets,
+    salaryTimeline
+  };
+});
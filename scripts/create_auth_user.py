@@ -0,0 +1,83 @@
+"""Adds a user or changes a password in auth-users.json, offline.
+
+Same entry format as the User Accounts page (IEnergyAuth.createCredential): salted PBKDF2-SHA256.
+Use it to bootstrap the first admin, or when nobody can sign in to the User Accounts page.
+
+    python scripts/create_auth_user.py admin
+    python scripts/create_auth_user.py accountant --role accountant
+
+The password is prompted for (never passed on the command line) and only its hash is written.
+Hand the password over to its user out of band, then publish the updated auth-users.json.
+"""
+
+import argparse
+import base64
+import getpass
+import hashlib
+import json
+import os
+import re
+import secrets
+import sys
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+USERS_FILE = os.path.join(ROOT, "auth-users.json")
+
+# Keep in line with auth.js and user-admin/user-admin.js.
+PBKDF2_ITERATIONS = 310000
+PBKDF2_HASH_BYTES = 32
+SALT_BYTES = 16
+USERNAME_RE = re.compile(r"^[a-z0-9._-]{2,32}$")
+MIN_PASSWORD_LENGTH = 8
+
+
+def create_credential(password: str, role: str) -> dict:
+    salt = secrets.token_bytes(SALT_BYTES)
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode("utf-8"), salt, PBKDF2_ITERATIONS, PBKDF2_HASH_BYTES)
+    return {
+        "role": role,
+        "salt": base64.b64encode(salt).decode("ascii"),
+        "iterations": PBKDF2_ITERATIONS,
+        "hash": base64.b64encode(digest).decode("ascii"),
+    }
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Add a portal user or change a password in auth-users.json.")
+    parser.add_argument("username")
+    parser.add_argument("--role", help="role from the users file (default: the user's current role, or 'user')")
+    args = parser.parse_args()
+
+    with open(USERS_FILE, encoding="utf-8") as f:
+        doc = json.load(f)
+
+    username = args.username.strip().lower()
+    if not USERNAME_RE.match(username):
+        sys.exit("Username must be 2-32 characters: letters, digits, dots, dashes or underscores.")
+
+    existing = doc["users"].get(username)
+    role = args.role or (existing["role"] if existing else "user")
+    if role not in doc["roles"]:
+        sys.exit(f"Unknown role '{role}'. Roles: {', '.join(doc['roles'])}.")
+
+    password = getpass.getpass(f"New password for {username}: ")
+    if len(password) < MIN_PASSWORD_LENGTH:
+        sys.exit(f"Password must be at least {MIN_PASSWORD_LENGTH} characters.")
+    if getpass.getpass("Confirm password: ") != password:
+        sys.exit("The passwords do not match.")
+
+    credential = create_credential(password, role)
+    # A password change keeps the user's extra permissions.
+    if existing and existing.get("permissions"):
+        credential["permissions"] = existing["permissions"]
+    doc["users"][username] = credential
+
+    with open(USERS_FILE, "w", encoding="utf-8") as f:
+        json.dump(doc, f, ensure_ascii=False, indent=2)
+        f.write("\n")
+
+    print(f"{'Password changed' if existing else 'User added'}: {username} ({role}). Publish auth-users.json for it to take effect.")
+
+
+if __name__ == "__main__":
+    main()
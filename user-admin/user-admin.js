@@ -0,0 +1,273 @@
+/* User Accounts (user-admin permission)
+   - Generates a salted PBKDF2 entry for a new user or a password change (IEnergyAuth.createCredential),
+     with optional permissions on top of the user's role; an existing user's role and permissions are
+     pre-filled so a password change keeps them
+   - Merges it into the current users file so the admin can download and publish auth-users.json
+   - Shows the role permission matrix and the current users (never the hashes)
+   - Lists the failed sign-ins recorded in this browser (IEnergyAuth.getFailedLogins); attempts made in other
+     browsers are only visible there
+*/
+(function () {
+  'use strict';
+
+  function $(id) { return document.getElementById(id); }
+
+  const USERNAME_RE = /^[a-z0-9._-]{2,32}$/;
+  const MIN_PASSWORD_LENGTH = 8;
+
+  let usersDoc = null;
+  let updatedDoc = null;
+  let prefilledFor = null;
+  let initialized = false;
+
+  function setStatus(msg, isError) {
+    const el = $('adminStatus');
+    if (!el) return;
+    el.textContent = msg || '';
+    el.classList.toggle('status-error', !!isError);
+  }
+
+  function escapeHtml(s) {
+    return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  function roleNames() {
+    return usersDoc && usersDoc.roles ? Object.keys(usersDoc.roles) : [];
+  }
+
+  function permissionLabel(p) {
+    return IEnergyAuth.PERMISSIONS[p] || p;
+  }
+
+  function renderUsers() {
+    const el = $('usersList');
+    if (!el) return;
+    const names = usersDoc ? Object.keys(usersDoc.users).sort() : [];
+    if (!names.length) {
+      el.textContent = usersDoc ? 'The users file has no users.' : 'The users file could not be loaded.';
+      return;
+    }
+    el.innerHTML = `
+      <table class="users-table">
+        <thead><tr><th>Username</th><th>Role</th><th>Extra permissions</th></tr></thead>
+        <tbody>${names.map((n) => {
+          const u = usersDoc.users[n];
+          const extra = Array.isArray(u.permissions) ? u.permissions.map(permissionLabel).join(', ') : '';
+          return `<tr><td>${escapeHtml(n)}</td><td>${escapeHtml(u.role)}</td><td>${escapeHtml(extra || '—')}</td></tr>`;
+        }).join('')}</tbody>
+      </table>`;
+  }
+
+  // Permission × role grid; '*' and '<module>:*' grants are expanded.
+  function renderRolesMatrix() {
+    const el = $('rolesMatrix');
+    if (!el) return;
+    const roles = roleNames();
+    if (!roles.length) {
+      el.textContent = 'No roles are defined in the users file.';
+      return;
+    }
+    el.innerHTML = `
+      <table class="users-table">
+        <thead><tr><th>Permission</th>${roles.map((r) => `<th>${escapeHtml(r)}</th>`).join('')}</tr></thead>
+        <tbody>${Object.keys(IEnergyAuth.PERMISSIONS).map((p) => `
+          <tr><td>${escapeHtml(permissionLabel(p))}</td>${roles.map((r) => `<td>${IEnergyAuth.grantsPermission(usersDoc.roles[r] || [], p) ? '✓' : ''}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  const FAILED_LOGIN_REASONS = {
+    'wrong-password': 'Wrong username or password',
+    locked: 'Wrong password; username locked out',
+    throttled: 'Tried again while waiting'
+  };
+
+  // Newest first.
+  function renderFailedLogins() {
+    const el = $('failedLogins');
+    if (!el) return;
+    const list = IEnergyAuth.getFailedLogins().slice().reverse();
+    const btn = $('btnClearFailedLogins');
+    if (btn) btn.disabled = !list.length;
+    if (!list.length) {
+      el.textContent = 'No failed sign-ins recorded in this browser (attempts in other browsers are not listed here).';
+      return;
+    }
+    el.innerHTML = `
+      <table class="users-table">
+        <thead><tr><th>Time</th><th>Username</th><th>Result</th><th>Page</th></tr></thead>
+        <tbody>${list.map((f) => `
+          <tr><td>${escapeHtml(new Date(f.at).toLocaleString())}</td><td>${escapeHtml(f.username || '—')}</td><td>${escapeHtml(FAILED_LOGIN_REASONS[f.reason] || f.reason)}</td><td>${escapeHtml(f.page)}</td></tr>`).join('')}
+        </tbody>
+      </table>`;
+  }
+
+  function clearFailedLogins() {
+    if (!window.confirm('Clear the failed sign-in log of this browser? This also lifts the lockouts in this browser (not in others).')) return;
+    IEnergyAuth.clearFailedLogins();
+    renderFailedLogins();
+  }
+
+  function renderPermissionChoices() {
+    const el = $('newPermissions');
+    if (!el) return;
+    el.innerHTML = Object.keys(IEnergyAuth.PERMISSIONS).map((p) => `
+      <label class="perm-item"><input type="checkbox" value="${escapeHtml(p)}" /> ${escapeHtml(permissionLabel(p))}</label>`).join('');
+  }
+
+  function renderRoleChoices() {
+    const roleSelect = $('newRole');
+    if (!roleSelect) return;
+    const roles = roleNames();
+    roleSelect.innerHTML = roles.map((r) => `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`).join('');
+    if (roles.includes('user')) roleSelect.value = 'user';
+  }
+
+  function existingUser(username) {
+    return usersDoc && Object.prototype.hasOwnProperty.call(usersDoc.users, username) ? usersDoc.users[username] : null;
+  }
+
+  function setFormAccess(role, permissions) {
+    const roleSelect = $('newRole');
+    if (roleSelect && roleNames().includes(role)) roleSelect.value = role;
+    document.querySelectorAll('#newPermissions input').forEach((el) => { el.checked = permissions.includes(el.value); });
+  }
+
+  // A password change keeps the user's role and extra permissions unless the admin changes them:
+  // typing an existing username pre-fills both, moving on to a new username puts the defaults back.
+  function prefillFromExisting() {
+    const username = String($('newUsername').value || '').trim().toLowerCase();
+    const rec = existingUser(username);
+    if (rec) {
+      if (prefilledFor === username) return;
+      prefilledFor = username;
+      setFormAccess(rec.role, Array.isArray(rec.permissions) ? rec.permissions : []);
+    } else if (prefilledFor) {
+      prefilledFor = null;
+      setFormAccess('user', []);
+    }
+  }
+
+  // "role user → accountant; extra permissions added: ..., removed: ..." ('' when nothing changed).
+  function describeAccessChange(before, role, permissions) {
+    const changes = [];
+    if (before.role !== role) changes.push(`role ${before.role} → ${role}`);
+    const old = Array.isArray(before.permissions) ? before.permissions : [];
+    const added = permissions.filter((p) => !old.includes(p)).map(permissionLabel);
+    const removed = old.filter((p) => !permissions.includes(p)).map(permissionLabel);
+    if (added.length) changes.push(`extra permissions added: ${added.join(', ')}`);
+    if (removed.length) changes.push(`extra permissions removed: ${removed.join(', ')}`);
+    return changes.join('; ');
+  }
+
+  function readForm(errs) {
+    const username = String($('newUsername').value || '').trim().toLowerCase();
+    const role = $('newRole').value;
+    const password = String($('newPassword').value || '');
+    const confirm = String($('newPasswordConfirm').value || '');
+    const permissions = Array.from(document.querySelectorAll('#newPermissions input:checked')).map((el) => el.value);
+
+    if (!USERNAME_RE.test(username)) {
+      errs.push('Username must be 2–32 characters: letters, digits, dots, dashes or underscores.');
+    }
+    if (!roleNames().includes(role)) errs.push('Please choose a role.');
+    if (password.length < MIN_PASSWORD_LENGTH) errs.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    else if (password !== confirm) errs.push('The passwords do not match.');
+    return { username, role, password, permissions };
+  }
+
+  async function generateEntry() {
+    const errs = [];
+    const { username, role, password, permissions } = readForm(errs);
+    if (errs.length) {
+      setStatus(errs.join(' '), true);
+      return;
+    }
+
+    const btn = $('btnGenerate');
+    try {
+      if (btn) btn.disabled = true;
+      setStatus('Hashing...', false);
+      const credential = await IEnergyAuth.createCredential(password, role);
+      if (permissions.length) credential.permissions = permissions;
+
+      const before = existingUser(username);
+      updatedDoc = Object.assign({}, usersDoc, { users: Object.assign({}, usersDoc.users, { [username]: credential }) });
+
+      $('entryOutput').value = `"${username}": ${JSON.stringify(credential, null, 2)}`;
+      $('usersFileOutput').value = `${JSON.stringify(updatedDoc, null, 2)}\n`;
+      $('adminOutput').hidden = false;
+      $('newPassword').value = '';
+      $('newPasswordConfirm').value = '';
+
+      const accessChange = before ? describeAccessChange(before, role, permissions) : '';
+      setStatus(before
+        ? `Password changed for ${username}${accessChange ? ` (${accessChange})` : ''}. Publish the updated file for it to take effect.`
+        : `Entry created for ${username} (${role}). Publish the updated file for it to take effect.`, false);
+    } catch (e) {
+      setStatus(e && e.message ? e.message : 'Unable to generate the entry.', true);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  async function copyEntry() {
+    const text = $('entryOutput').value;
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus('Entry copied to the clipboard.', false);
+    } catch (_) {
+      $('entryOutput').select();
+      setStatus('Copy is not available here; the entry is selected, press Ctrl+C.', true);
+    }
+  }
+
+  function downloadUsersFile() {
+    if (!updatedDoc) return;
+    const blob = new Blob([`${JSON.stringify(updatedDoc, null, 2)}\n`], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'auth-users.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async function init() {
+    if (initialized) return;
+    initialized = true;
+
+    renderPermissionChoices();
+
+    const bind = (id, fn) => {
+      const el = $(id);
+      if (el) el.addEventListener('click', fn);
+    };
+    bind('btnGenerate', generateEntry);
+    bind('btnCopyEntry', copyEntry);
+    bind('btnDownloadUsers', downloadUsersFile);
+    bind('btnClearFailedLogins', clearFailedLogins);
+
+    const usernameInput = $('newUsername');
+    if (usernameInput) usernameInput.addEventListener('input', prefillFromExisting);
+    bind('btnRefreshFailedLogins', renderFailedLogins);
+
+    renderFailedLogins();
+
+    try {
+      usersDoc = await IEnergyAuth.loadUsers();
+    } catch (e) {
+      setStatus(e && e.message ? e.message : 'Unable to load the users file.', true);
+      const btn = $('btnGenerate');
+      if (btn) btn.disabled = true;
+    }
+    renderRoleChoices();
+    prefillFromExisting();
+    renderRolesMatrix();
+    renderUsers();
+  }
+
+  window.IEnergyUserAdmin = { init };
+})();